@@ -1,48 +1,547 @@
 // background.js
-// Maintains extension state and synchronizes preset selection
-// across content scripts without persistent page access.
+// Maintains extension state, user presets and per-tab preset selection,
+// synchronized across content scripts without persistent page access.
 // This avoids requiring tabs permission or page-level storage.
 
-// In-memory state (resets when browser closes - this is intentional for minimal permissions)
+importScripts('shared/site-rules.js');
+
+// Built-in presets (read-only; users can duplicate them into their own presets)
+const BUILTIN_PRESETS = {
+  'auto': {
+    name: 'Auto',
+    label: 'Auto',
+    tagline: 'Adaptive',
+    icon: '🪄',
+    builtin: true,
+    // Picks one of the other built-ins per video from the quality estimate;
+    // these values only apply until the first estimate
+    auto: true,
+    denoising: 0.4,
+    deblocking: 0.6,
+    debanding: 0.5,
+    debandRadius: 16,
+    debandThreshold: 0.75,
+    debandIterations: 1,
+    smoothing: 0.3,
+    sharpening: 0.15,
+    passes: ['denoise', 'deblock', 'deband', 'smooth', 'sharpen'],
+    description: 'Follows the quality estimate, e.g. when the stream changes resolution'
+  },
+  'clean': {
+    name: 'Clean',
+    label: 'Clean',
+    tagline: 'Minimal',
+    icon: '✨',
+    builtin: true,
+    denoising: 0.0,
+    deblocking: 0.0,
+    debanding: 0.1,
+    debandRadius: 16,
+    debandThreshold: 0.5,
+    debandIterations: 1,
+    smoothing: 0.0,
+    sharpening: 0.0,
+    passes: ['deband'],
+    description: 'Minimal enhancement for already-good video'
+  },
+  'low-bitrate': {
+    name: 'Low-Bitrate Repair',
+    label: 'Repair',
+    tagline: 'Low-bitrate',
+    icon: '🔧',
+    builtin: true,
+    denoising: 0.4,
+    deblocking: 0.6,
+    debanding: 0.5,
+    debandRadius: 16,
+    debandThreshold: 0.75,
+    debandIterations: 1,
+    smoothing: 0.3,
+    sharpening: 0.15,
+    passes: ['denoise', 'deblock', 'deband', 'smooth', 'sharpen'],
+    description: 'For YouTube 480p, streaming on slow connections'
+  },
+  'anime': {
+    name: 'Anime / Flat-Color',
+    label: 'Anime',
+    tagline: 'Flat-color',
+    icon: '🎨',
+    builtin: true,
+    denoising: 0.5,
+    deblocking: 0.4,
+    debanding: 0.7,
+    debandRadius: 24,
+    debandThreshold: 1.0,
+    debandIterations: 2,
+    smoothing: 0.4,
+    sharpening: 0.05,
+    // Smooth before dithering so the grain that hides bands survives
+    passes: ['denoise', 'deblock', 'smooth', 'deband', 'sharpen'],
+    description: 'For anime with heavy banding in gradients'
+  }
+};
+
+const DEFAULT_PRESET = 'low-bitrate';
+
+// User presets and site rules are kept in chrome.storage.local so they survive browser restarts
+const USER_PRESETS_KEY = 'userPresets';
+const SITE_RULES_KEY = 'siteRules';
+
+// Longest control selector list a site rule may store
+const MAX_CONTROL_SELECTORS_LENGTH = 500;
+
+// The enabled flag and selected preset live in the storage area the user picks:
+// 'session' clears when the browser closes, 'local' survives restarts.
+// Either way they survive the service worker being suspended when idle.
+const RUNTIME_STATE_KEY = 'runtimeState';
+const STATE_STORAGE_KEY = 'stateStorage';
+
+// Render resolution settings, kept in chrome.storage.local
+// resolution: 'video' renders at the video's size and lets the browser scale it;
+// 'display' renders at the on-screen size using the chosen upscaler
+const RENDERING_KEY = 'rendering';
+const RENDER_RESOLUTIONS = ['video', 'display'];
+const UPSCALERS = ['easu', 'lanczos'];
+
+// backend: 'auto' tries WebGPU, WebGL2 then WebGL; naming one starts the chain there
+// (for working around a misbehaving GPU driver)
+const RENDER_BACKENDS = ['auto', 'webgpu', 'webgl2', 'webgl', 'cpu'];
+
+// matrix: luma coefficients the passes use; 'auto' follows the stream, or its resolution
+// expandRange stretches limited-range (16-235) frames; linearLight smooths and sharpens in linear light
+const COLOR_MATRICES = ['auto', 'bt601', 'bt709'];
+const DEFAULT_RENDERING = {
+  resolution: 'video',
+  upscaler: 'easu',
+  backend: 'auto',
+  matrix: 'auto',
+  expandRange: false,
+  linearLight: false
+};
+
+// Working copy of the state; rebuilt from storage every time the worker wakes
+// siteRules maps a host pattern to { enabled?, preset?, controlSelectors? }; see shared/site-rules.js for precedence
 let extensionState = {
   enabled: false,
-  preset: 'low-bitrate',
-  presets: {
-    'clean': {
-      name: 'Clean',
-      debanding: 0.1,
-      smoothing: 0.0,
-      sharpening: 0.0,
-      description: 'Minimal enhancement for already-good video'
-    },
-    'low-bitrate': {
-      name: 'Low-Bitrate Repair',
-      debanding: 0.5,
-      smoothing: 0.3,
-      sharpening: 0.15,
-      description: 'For YouTube 480p, streaming on slow connections'
-    },
-    'anime': {
-      name: 'Anime / Flat-Color',
-      debanding: 0.7,
-      smoothing: 0.4,
-      sharpening: 0.05,
-      description: 'For anime with heavy banding in gradients'
-    }
-  }
+  preset: DEFAULT_PRESET,
+  presets: { ...BUILTIN_PRESETS },
+  siteRules: {},
+  stateStorage: 'session',
+  rendering: { ...DEFAULT_RENDERING }
 };
 
+// Per-tab overrides: tabId -> { enabled?, preset?, origin }
+// Always kept in chrome.storage.session; tab ids mean nothing after a restart
+const TAB_STATES_KEY = 'tabStates';
+let tabStates = {};
+
+// Per-frame render failures reported by content scripts: tabId -> { frameId -> reason }
+// Kept in chrome.storage.session so the popup can show them after the worker wakes
+const RENDER_FAILURES_KEY = 'renderFailures';
+let renderFailures = {};
+
+// Visible videos each frame reported: tabId -> { frameId -> { origin, videos } }
+// Also kept in chrome.storage.session; frames without videos have no entry
+const FRAME_VIDEOS_KEY = 'frameVideos';
+let frameVideos = {};
+
+// Tab currently showing a live preview from the popup editor
+let previewTabId = null;
+
+// Messages are only answered once this resolves
+const stateReady = hydrateState();
+
+// Tabs keep the state they were sent before the worker was suspended; resync them
+stateReady.then(() => notifyAllTabs());
+
+// Drop a tab's settings when it closes
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
+  if (tabStates[tabId]) {
+    await clearTabState(tabId);
+  }
+  await clearFrameReports(tabId);
+});
+
+// A new document in a tab's top frame replaces every frame that reported before
+// (same-document navigations keep their frames and don't fire onCommitted)
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId }) => {
+  if (frameId !== 0) return;
+  await stateReady;
+  await clearFrameReports(tabId);
+});
+
 // Get current state
 function getState() {
   return extensionState;
 }
 
-// Update state
+// Get the state a tab sees: global state plus that tab's overrides
+function getTabState(tabId) {
+  return { ...extensionState, tab: tabStates[tabId] || null };
+}
+
+// Update a tab's overrides; settings made under another origin are discarded
+async function setTabState(tabId, origin, updates) {
+  const current = tabStates[tabId];
+  const base = current && current.origin === origin ? current : {};
+
+  tabStates = { ...tabStates, [tabId]: { ...base, ...updates, origin } };
+  await chrome.storage.session.set({ [TAB_STATES_KEY]: tabStates });
+  await notifyTab(tabId);
+  return getTabState(tabId);
+}
+
+// Remove a tab's overrides so it follows site rules and the global state again
+async function clearTabState(tabId) {
+  tabStates = { ...tabStates };
+  delete tabStates[tabId];
+  await chrome.storage.session.set({ [TAB_STATES_KEY]: tabStates });
+}
+
+// Record or clear the reason a frame's rendering stopped
+async function setRenderFailure(tabId, frameId, reason) {
+  renderFailures = { ...renderFailures, [tabId]: withFrameEntry(renderFailures[tabId], frameId, reason) };
+  if (!renderFailures[tabId]) delete renderFailures[tabId];
+  await chrome.storage.session.set({ [RENDER_FAILURES_KEY]: renderFailures });
+}
+
+// Record the visible videos a frame reported; an empty list drops the frame
+async function setFrameVideos(tabId, frameId, origin, videos) {
+  const report = videos.length > 0 ? { origin, videos } : null;
+  frameVideos = { ...frameVideos, [tabId]: withFrameEntry(frameVideos[tabId], frameId, report) };
+  if (!frameVideos[tabId]) delete frameVideos[tabId];
+  await chrome.storage.session.set({ [FRAME_VIDEOS_KEY]: frameVideos });
+}
+
+// Copy of a frameId -> value map with one entry set or removed; null once empty
+function withFrameEntry(frames, frameId, value) {
+  const updated = { ...frames };
+  if (value) {
+    updated[frameId] = value;
+  } else {
+    delete updated[frameId];
+  }
+  return Object.keys(updated).length > 0 ? updated : null;
+}
+
+// Forget what a tab's frames reported, when it closes or loads a new page
+async function clearFrameReports(tabId) {
+  if (!renderFailures[tabId] && !frameVideos[tabId]) return;
+
+  renderFailures = { ...renderFailures };
+  delete renderFailures[tabId];
+  frameVideos = { ...frameVideos };
+  delete frameVideos[tabId];
+  await chrome.storage.session.set({ [RENDER_FAILURES_KEY]: renderFailures, [FRAME_VIDEOS_KEY]: frameVideos });
+}
+
+// Video info for the popup: details come from the frame showing the largest
+// video, counts and access statuses from every frame's report
+async function getVideoInfo(tabId) {
+  const frames = Object.entries(frameVideos[tabId] || {});
+  const videos = frames.flatMap(([, report]) => report.videos);
+
+  let frameId = 0;
+  let largest = -1;
+  for (const [id, report] of frames) {
+    for (const video of report.videos) {
+      if (video.area > largest) {
+        largest = video.area;
+        frameId = Number(id);
+      }
+    }
+  }
+
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, { type: 'GET_VIDEO_INFO' }, { frameId });
+  } catch (e) {
+    response = { videoCount: 0, quality: null };
+  }
+
+  const renderFailure = Object.values(renderFailures[tabId] || {})[0] || null;
+  // Reports lag changes slightly; until the first arrives, the frame's answer stands
+  if (frames.length === 0) {
+    return { ...response, renderFailure };
+  }
+  return {
+    ...response,
+    videoCount: videos.length,
+    access: videos.map(video => video.access),
+    frames: frames.map(([id, report]) => ({ frameId: Number(id), origin: report.origin, videoCount: report.videos.length })),
+    renderFailure
+  };
+}
+
+// Forget a tab's overrides once it has navigated to a different origin
+async function checkTabOrigin(tabId, origin) {
+  const current = tabStates[tabId];
+  if (current && origin && current.origin !== origin) {
+    await clearTabState(tabId);
+  }
+}
+
+// Make the given enabled flag and preset global and drop every tab override
+async function applyToAllTabs(enabled, preset) {
+  setState({
+    enabled: Boolean(enabled),
+    preset: extensionState.presets[preset] ? preset : extensionState.preset
+  });
+  tabStates = {};
+  await chrome.storage.session.set({ [TAB_STATES_KEY]: tabStates });
+  await notifyAllTabs();
+}
+
+// Origin of a message sender's frame
+function getSenderOrigin(sender) {
+  if (sender.origin) return sender.origin;
+  try {
+    return new URL(sender.url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Update state, persisting the runtime fields so they outlive the worker
 function setState(updates) {
   extensionState = { ...extensionState, ...updates };
+
+  if ('enabled' in updates || 'preset' in updates) {
+    persistRuntimeState().catch(e => {
+      console.warn('[Video Enhance] Could not persist state:', e);
+    });
+  }
   return extensionState;
 }
 
+// Write the enabled flag and selected preset to the chosen storage area
+async function persistRuntimeState() {
+  const { enabled, preset, stateStorage } = extensionState;
+  await chrome.storage[stateStorage].set({ [RUNTIME_STATE_KEY]: { enabled, preset } });
+}
+
+// Rebuild state from storage (runs on every service worker start)
+async function hydrateState() {
+  try {
+    const stored = await chrome.storage.local.get([USER_PRESETS_KEY, SITE_RULES_KEY, STATE_STORAGE_KEY, RENDERING_KEY]);
+    const stateStorage = stored[STATE_STORAGE_KEY] === 'local' ? 'local' : 'session';
+    const runtime = (await chrome.storage[stateStorage].get(RUNTIME_STATE_KEY))[RUNTIME_STATE_KEY] || {};
+    const session = await chrome.storage.session.get([TAB_STATES_KEY, RENDER_FAILURES_KEY, FRAME_VIDEOS_KEY]);
+    const presets = { ...BUILTIN_PRESETS, ...(stored[USER_PRESETS_KEY] || {}) };
+
+    // Assign directly: hydration must not write back what it just read
+    extensionState = {
+      ...extensionState,
+      presets,
+      siteRules: stored[SITE_RULES_KEY] || {},
+      stateStorage,
+      rendering: { ...DEFAULT_RENDERING, ...stored[RENDERING_KEY] },
+      enabled: Boolean(runtime.enabled),
+      preset: presets[runtime.preset] ? runtime.preset : DEFAULT_PRESET
+    };
+    tabStates = session[TAB_STATES_KEY] || {};
+    renderFailures = session[RENDER_FAILURES_KEY] || {};
+    frameVideos = session[FRAME_VIDEOS_KEY] || {};
+  } catch (e) {
+    console.warn('[Video Enhance] Could not load stored state:', e);
+  }
+}
+
+// Move the runtime state to another storage area ('session' or 'local')
+async function setStateStorage(area) {
+  if (area !== 'session' && area !== 'local') {
+    return { error: 'Unknown storage area' };
+  }
+
+  const previous = extensionState.stateStorage;
+  extensionState = { ...extensionState, stateStorage: area };
+
+  await chrome.storage.local.set({ [STATE_STORAGE_KEY]: area });
+  await persistRuntimeState();
+  if (previous !== area) {
+    await chrome.storage[previous].remove(RUNTIME_STATE_KEY);
+  }
+  return extensionState;
+}
+
+// Update render resolution settings and push them to every tab
+async function setRendering(updates) {
+  const rendering = { ...extensionState.rendering, ...updates };
+  if (!RENDER_RESOLUTIONS.includes(rendering.resolution) || !UPSCALERS.includes(rendering.upscaler) ||
+    !RENDER_BACKENDS.includes(rendering.backend) || !COLOR_MATRICES.includes(rendering.matrix)) {
+    return { error: 'Unknown render setting' };
+  }
+  rendering.expandRange = Boolean(rendering.expandRange);
+  rendering.linearLight = Boolean(rendering.linearLight);
+
+  extensionState = { ...extensionState, rendering };
+  await chrome.storage.local.set({ [RENDERING_KEY]: rendering });
+  await notifyAllTabs();
+  return extensionState;
+}
+
+// Persist all non-built-in presets
+async function saveUserPresets() {
+  const userPresets = {};
+  for (const [id, preset] of Object.entries(extensionState.presets)) {
+    if (!preset.builtin) userPresets[id] = preset;
+  }
+  await chrome.storage.local.set({ [USER_PRESETS_KEY]: userPresets });
+}
+
+// Clamp a strength value to the 0-1 range the shaders expect
+function clampStrength(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0;
+}
+
+// Gradient debanding settings: radius in pixels, threshold in quantization
+// steps, and averaging rounds (whole numbers; 0 only dithers)
+const DEBAND_SETTINGS = {
+  debandRadius: { min: 0, max: 32, fallback: 16 },
+  debandThreshold: { min: 0, max: 3, fallback: 0.75 },
+  debandIterations: { min: 0, max: 4, fallback: 1, integer: true }
+};
+
+// Clamp a debanding setting to its range, using the default if it's missing
+function clampDebandSetting(key, value) {
+  const { min, max, fallback, integer } = DEBAND_SETTINGS[key];
+  const number = Number(value ?? fallback);
+  if (!Number.isFinite(number)) return fallback;
+  const clamped = Math.min(max, Math.max(min, number));
+  return integer ? Math.round(clamped) : clamped;
+}
+
+// Normalize a preset coming from the popup editor
+function sanitizePreset(preset) {
+  const name = String(preset?.name || '').trim().slice(0, 32) || 'Custom';
+  const denoising = clampStrength(preset?.denoising);
+  const deblocking = clampStrength(preset?.deblocking);
+  const passes = Array.isArray(preset?.passes)
+    ? preset.passes.map(String)
+    : ['denoise', 'deblock', 'deband', 'smooth', 'sharpen'];
+  // Presets copied from ones without these passes need them to use their settings
+  if (deblocking > 0 && !passes.includes('deblock')) passes.unshift('deblock');
+  if (denoising > 0 && !passes.includes('denoise')) passes.unshift('denoise');
+  return {
+    name,
+    label: name,
+    tagline: 'Custom',
+    icon: '⭐',
+    denoising,
+    deblocking,
+    debanding: clampStrength(preset?.debanding),
+    debandRadius: clampDebandSetting('debandRadius', preset?.debandRadius),
+    debandThreshold: clampDebandSetting('debandThreshold', preset?.debandThreshold),
+    debandIterations: clampDebandSetting('debandIterations', preset?.debandIterations),
+    smoothing: clampStrength(preset?.smoothing),
+    sharpening: clampStrength(preset?.sharpening),
+    passes,
+    description: 'Custom preset'
+  };
+}
+
+// Create or update a user preset (built-ins are never overwritten)
+async function savePreset(id, preset) {
+  const existing = extensionState.presets[id];
+  const presetId = existing && !existing.builtin ? id : `custom-${Date.now().toString(36)}`;
+
+  setState({ presets: { ...extensionState.presets, [presetId]: sanitizePreset(preset) } });
+  await saveUserPresets();
+
+  // Tabs using the preset need its new values
+  await notifyAllTabs();
+  return { id: presetId };
+}
+
+// Delete a user preset, falling back to the default if it was selected
+async function deletePreset(id) {
+  const existing = extensionState.presets[id];
+  if (!existing || existing.builtin) {
+    return { error: 'Preset cannot be deleted' };
+  }
+
+  const presets = { ...extensionState.presets };
+  delete presets[id];
+
+  // Tabs and site rules using it fall back to the global preset when resolved
+  const wasActive = extensionState.preset === id;
+  setState({ presets, preset: wasActive ? DEFAULT_PRESET : extensionState.preset });
+  await saveUserPresets();
+  await notifyAllTabs();
+  return extensionState;
+}
+
+// Create, update or (with a null rule) delete a site rule
+async function setSiteRule(input, rule) {
+  const pattern = SiteRules.normalizePattern(input);
+  if (!pattern) {
+    return { error: 'Invalid host pattern' };
+  }
+
+  const siteRules = { ...extensionState.siteRules };
+  if (rule) {
+    siteRules[pattern] = {
+      enabled: typeof rule.enabled === 'boolean' ? rule.enabled : null,
+      preset: rule.preset && extensionState.presets[rule.preset] ? rule.preset : null,
+      controlSelectors: typeof rule.controlSelectors === 'string' && rule.controlSelectors.trim()
+        ? rule.controlSelectors.trim().slice(0, MAX_CONTROL_SELECTORS_LENGTH)
+        : null
+    };
+  } else {
+    delete siteRules[pattern];
+  }
+
+  const stateAfterRule = setState({ siteRules });
+  await chrome.storage.local.set({ [SITE_RULES_KEY]: siteRules });
+  await notifyAllTabs();
+  return stateAfterRule;
+}
+
+// Apply unsaved preset settings to the active tab while the editor is open
+// Passing null ends the preview and restores the tab's real preset
+async function previewPreset(preset) {
+  let tabId = previewTabId;
+  if (preset) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = tab?.id ?? null;
+  }
+  if (!tabId) return { previewing: false };
+
+  previewTabId = preset ? tabId : null;
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      type: 'PREVIEW_PRESET',
+      preset: preset ? sanitizePreset(preset) : null
+    });
+  } catch (e) {
+    // Tab might not have content script loaded, ignore
+  }
+  return { previewing: Boolean(preset) };
+}
+
+// Keyboard shortcut (manifest "commands") cycles the comparison mode in the active tab
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command !== 'cycle-compare') return;
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'CYCLE_COMPARE' });
+  } catch (e) {
+    // Tab might not have content script loaded, ignore
+  }
+});
+
+// The popup holds a port open; when it closes, any live preview is dropped
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'popup') return;
+  port.onDisconnect.addListener(() => {
+    if (previewTabId) previewPreset(null);
+  });
+});
+
 // Handle messages from popup and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   handleMessage(message, sender).then(sendResponse);
@@ -50,34 +549,96 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 async function handleMessage(message, sender) {
+  await stateReady;
+
+  // The popup names the tab it controls; content scripts are identified by sender
+  // Without a tab (e.g. the popup on a browser page) settings are global
+  const tabId = message.tabId ?? sender.tab?.id ?? null;
+
   switch (message.type) {
     case 'GET_STATE':
-      return getState();
+      if (tabId === null) return getState();
+
+      // A top frame reporting a new origin means the tab navigated away
+      const origin = message.origin ?? (sender.frameId === 0 ? getSenderOrigin(sender) : null);
+      await checkTabOrigin(tabId, origin);
+      return getTabState(tabId);
 
     case 'SET_ENABLED':
+      if (tabId !== null) {
+        return setTabState(tabId, message.origin, { enabled: message.enabled });
+      }
       const stateAfterEnabled = setState({ enabled: message.enabled });
-      // Notify all tabs about the change
-      await notifyAllTabs({ type: 'STATE_CHANGED', state: stateAfterEnabled });
+      await notifyAllTabs();
       return stateAfterEnabled;
 
     case 'SET_PRESET':
+      if (!extensionState.presets[message.preset]) {
+        return { error: 'Unknown preset' };
+      }
+      if (tabId !== null) {
+        return setTabState(tabId, message.origin, { preset: message.preset });
+      }
       const stateAfterPreset = setState({ preset: message.preset });
-      await notifyAllTabs({ type: 'STATE_CHANGED', state: stateAfterPreset });
+      await notifyAllTabs();
       return stateAfterPreset;
 
+    case 'APPLY_TO_ALL_TABS':
+      await applyToAllTabs(message.enabled, message.preset);
+      return getTabState(tabId);
+
+    case 'SAVE_PRESET':
+      const saved = await savePreset(message.id, message.preset);
+      return { ...saved, state: getTabState(tabId) };
+
+    case 'DELETE_PRESET':
+      const deleted = await deletePreset(message.id);
+      return deleted.error ? deleted : getTabState(tabId);
+
+    case 'PREVIEW_PRESET':
+      return previewPreset(message.preset);
+
+    case 'SET_COMPARE':
+      // Forward to the tab's content scripts; comparison is not persisted
+      if (tabId === null) return { compareMode: 'off' };
+      try {
+        return await chrome.tabs.sendMessage(tabId, { type: 'SET_COMPARE', mode: message.mode });
+      } catch (e) {
+        return { compareMode: 'off' };
+      }
+
+    case 'SET_SITE_RULE':
+      const ruleResult = await setSiteRule(message.pattern, message.rule);
+      return ruleResult.error ? ruleResult : getTabState(tabId);
+
+    case 'SET_STATE_STORAGE':
+      const storageResult = await setStateStorage(message.area);
+      return storageResult.error ? storageResult : getTabState(tabId);
+
+    case 'SET_RENDERING':
+      const renderingResult = await setRendering(message.rendering);
+      return renderingResult.error ? renderingResult : getTabState(tabId);
+
     case 'GET_VIDEO_INFO':
-      // Forward request to content script in active tab
+      // Combine what every frame in the active tab reported
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab?.id) {
-        try {
-          const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_VIDEO_INFO' });
-          return response;
-        } catch (e) {
-          return { videoCount: 0, quality: null };
-        }
+        return getVideoInfo(tab.id);
       }
       return { videoCount: 0, quality: null };
 
+    case 'RENDER_FAILED':
+      // Content script gave up rendering (error: reason), or recovered (error: null)
+      if (tabId === null) return { acknowledged: false };
+      await setRenderFailure(tabId, sender.frameId ?? 0, message.error || null);
+      return { acknowledged: true };
+
+    case 'FRAME_VIDEOS':
+      // A frame's visible videos changed (an empty list when it unloads)
+      if (tabId === null || !Array.isArray(message.videos)) return { acknowledged: false };
+      await setFrameVideos(tabId, sender.frameId ?? 0, getSenderOrigin(sender), message.videos);
+      return { acknowledged: true };
+
     case 'VIDEO_DETECTED':
       // Content script reports video detection
       console.log('[Video Enhance] Video detected:', message.info);
@@ -89,16 +650,21 @@ async function handleMessage(message, sender) {
   }
 }
 
-// Notify all tabs about state changes
-async function notifyAllTabs(message) {
+// Send a tab the state it should use
+async function notifyTab(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'STATE_CHANGED', state: getTabState(tabId) });
+  } catch (e) {
+    // Tab might not have content script loaded, ignore
+  }
+}
+
+// Notify all tabs about state changes, each with its own overrides
+async function notifyAllTabs() {
   const tabs = await chrome.tabs.query({});
   for (const tab of tabs) {
     if (tab.id) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, message);
-      } catch (e) {
-        // Tab might not have content script loaded, ignore
-      }
+      await notifyTab(tab.id);
     }
   }
 }
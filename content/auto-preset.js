@@ -0,0 +1,159 @@
+// Auto Preset - Keeps a processor on the preset the quality estimator recommends
+// Re-estimates periodically and when the stream changes resolution (ABR switches),
+// with hysteresis so borderline scores don't flip presets back and forth
+
+class AutoPresetController {
+    // How often to re-estimate while playing
+    static INTERVAL_MS = 5000;
+
+    // Let a new rendition settle before judging it
+    static RESIZE_DELAY_MS = 500;
+
+    // Consecutive estimates that must agree before a periodic switch
+    static CONFIRMATIONS = 2;
+
+    // Score dead band around the score at the last switch
+    static SCORE_MARGIN = 5;
+
+    // Parameter cross-fade when switching presets
+    static TRANSITION_MS = 1000;
+
+    /**
+     * @param {HTMLVideoElement} video - Video being processed
+     * @param {VideoProcessor} processor - Processor to drive
+     * @param {Object} presets - Preset map (id -> settings)
+     */
+    constructor(video, processor, presets) {
+        this.video = video;
+        this.processor = processor;
+        this.presets = presets || {};
+        this.current = null;
+        this.pending = null;
+        this.pendingCount = 0;
+        this.lastSwitchScore = null;
+        this.lastEstimate = null;
+        this.pickReason = '';
+        this.intervalId = null;
+        this.resizeTimer = null;
+
+        this.handleResize = this.handleResize.bind(this);
+    }
+
+    /**
+     * Pick an initial preset and start watching the video
+     */
+    start() {
+        this.video.addEventListener('resize', this.handleResize);
+        this.video.addEventListener('loadedmetadata', this.handleResize);
+        this.intervalId = setInterval(() => {
+            if (!this.video.paused) this.evaluate(false);
+        }, AutoPresetController.INTERVAL_MS);
+
+        this.evaluate(true);
+    }
+
+    /**
+     * Update the preset map (e.g. after the user edits presets)
+     */
+    setPresets(presets) {
+        this.presets = presets || {};
+        if (this.current && this.presets[this.current]) {
+            this.processor.setPreset(this.presets[this.current]);
+        }
+    }
+
+    /**
+     * Resolution changed - re-estimate once the new rendition has settled
+     */
+    handleResize() {
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => this.evaluate(true), AutoPresetController.RESIZE_DELAY_MS);
+    }
+
+    /**
+     * Re-estimate quality and switch presets if the recommendation holds
+     * @param {boolean} immediate - Skip the confirmation count (resolution changes)
+     */
+    evaluate(immediate) {
+        const estimator = window.VideoQualityEstimator;
+        if (!estimator) return;
+
+        const estimate = estimator.estimate(this.video);
+        this.lastEstimate = estimate;
+
+        let candidate = estimate.preset;
+
+        // Dead band: the recommendation must survive nudging the score back
+        // toward where the last switch happened
+        if (this.current && candidate !== this.current && this.lastSwitchScore !== null) {
+            const shift = Math.sign(this.lastSwitchScore - estimate.score) * AutoPresetController.SCORE_MARGIN;
+            if (estimator.recommendPreset(estimate.score + shift, estimate.metrics) !== candidate) {
+                candidate = this.current;
+            }
+        }
+
+        if (candidate === this.current) {
+            this.pending = null;
+            this.pendingCount = 0;
+            return;
+        }
+
+        if (candidate !== this.pending) {
+            this.pending = candidate;
+            this.pendingCount = 0;
+        }
+        this.pendingCount++;
+
+        if (immediate || this.pendingCount >= AutoPresetController.CONFIRMATIONS) {
+            this.apply(candidate, estimate);
+        }
+    }
+
+    /**
+     * Move the processor to a preset, cross-fading from the previous one
+     */
+    apply(presetKey, estimate) {
+        const settings = this.presets[presetKey];
+        if (!settings) return;
+
+        const transition = this.current ? AutoPresetController.TRANSITION_MS : 0;
+        this.current = presetKey;
+        this.lastSwitchScore = estimate.score;
+        this.pickReason = estimate.reason;
+        this.pending = null;
+        this.pendingCount = 0;
+
+        this.processor.setPreset(settings, { transition });
+        console.debug('[Video Enhance] Auto preset:', presetKey, '-', estimate.reason);
+    }
+
+    /**
+     * Current pick and the reason for it, for the popup
+     */
+    getStatus() {
+        if (!this.current) return null;
+
+        const preset = this.presets[this.current];
+        return {
+            preset: this.current,
+            name: preset?.label || preset?.name || this.current,
+            reason: this.pickReason,
+            score: this.lastEstimate?.score ?? null
+        };
+    }
+
+    /**
+     * Stop watching the video
+     */
+    destroy() {
+        clearInterval(this.intervalId);
+        clearTimeout(this.resizeTimer);
+        this.video.removeEventListener('resize', this.handleResize);
+        this.video.removeEventListener('loadedmetadata', this.handleResize);
+        this.intervalId = null;
+        this.resizeTimer = null;
+    }
+}
+
+// Make available globally
+window.AutoPresetController = AutoPresetController;
@@ -0,0 +1,81 @@
+// Blue Noise - Tileable blue-noise threshold map for debanding dither
+// A precomputed void-and-cluster tile (built by tools/generate-blue-noise.js),
+// so the GPU passes and the CPU reference dither with the same values and no
+// page pays for generating it. Like content/cpu-reference.js it has no DOM
+// dependencies and loads in content scripts, workers and Node.
+
+const BlueNoise = {
+    // Tile size in pixels (a power of two, so WebGL1 can repeat it)
+    SIZE: 64,
+
+    // SIZE x SIZE values 0-255, top row first, base64-encoded
+    DATA: [
+        'XDC/3ApWd8BfCXq4Zztyq+FjA1SqiU2kDfJZs+8ZZMoxXaY7fCKd8QuKvzBrmhDEai3BCZQ5wKJD22oy7ZZByHGsGz/6iucU2pBH0xLmww2DNL963znPa5Qy0AiES9h0',
+        'secba9FTgzSxVuJ7zu1YhPORXfyw4V0k9gap1FC7E/wG1ptktC5LrTf+IKlakypR0Jr0KGUQ+R/GRIxh4KkkkgBGmvmvBeNt1yKfAUokszsF2B5/SBeIyXVXjhZ+K6OG',
+        'Oe9PgcsZnWOBum/gNX72uGoXSa6Fuplce6/3KXc881bfv30qSI26GZZBZvK7kmfPoE64NKdu7zGz4D3E9W3cV8mQKgnzbtLtAE2XE8qjBD/jjdQL6VAs4gHVGJ+7CsaC',
+        'NGIWyGbtOF76wqozgQ78LXjuY8nkCplMEZ4iXqxGHrIVb8KqU40/JsbkLGjvVHavIFpznT7Kf6k5WHBH22OWHbD1kd2pItN6B4UY4FrVpkoYlRGCK1a92Wf9e+QKlOxm',
+        'oEjoNt0Vt31dqIfBQiPblfwztvIhbBT8lMDuji7+TdJzB1A+DIagROlSy3JDIIfG3rI90pL4dx6PRqUtz4Ey0v6IH3maYvyfEDn1B5+5YQ6CzgNTjde4RnUnDLF5Fao6',
+        '5p3BePxZxyq0kS+g7L1gMW9R8WcAQ64zyAS5b0K9VQE8u1zQBMAqTd7Jb1F86jfCSqZn4DikXgbozmZB2MKJbShc2i+yGm/cDmj/FX0CkvgMnyC/ptxf6H7xWd0Y9Jh2',
+        '4BOn7UBz15J6GbAr1Y0bbtwqfbwY9Cubhk6l7CRZAvC9D4JLluiJUKXDQl7Zpz7Qd+aJMHMZlg0+nCWHo2Ilr2WDLFGKsg0+71yY/xBIp/eTE+1GiG7C3ja8EZBxntxJ',
+        'j6j1IskBPfEhfuO0JU/BG61EXMr+U73RZ7VPyQfmSNM4+ZvCHvdhpye+QGe3d8xYPbZfndANUnodY/swyT60IWQ20VdzumTOmTcGkW71hGIt2waePIgnefUS4jh7vY4P',
+        'zHEH2201yITfBNGQMO0BJobVCDD6QK/wn9J/UuIUf/zFdxmd4SurFnD3VdU1ngnslbt96xqs30w0jads/DBWoh23PVmV5xdHnFd+Hd1hnMH0Z6h5v48kXAA8tgusbJhU',
+        'Ba/tPIJMjORCrYDDHN5Jx2xNI2DRbAOdxh5Y1g6wdethgPKrDXuuaPUy6qJMsjh1RxzjUBdq4cSU5WaP8ijZOuaGXw/A/gZdwSkQpFx2rDkU+qaOQbj6XeV9v0aZI8VD',
+        '3Jsn1E7CK9QStnEMxIcW5pWzNoXYozOATynNHUVhyKggS9KjaybWnXnt2T79jCXngMI04Q+BKZM7CfcsZvCHAq1SEos4+luBk0HNXyjxbMkHW/3FBEn4ELLweaHAiw1y',
+        'lLou8I9VsTYaTJBsBrpSzZkDcbBYzErZtWqigrZM0TT/d+e5cKAA6COn/X/ZSKMx3Y4iZpi3YNBsPQZY/zTiUfYHe0AVzH71ZbXLLJ3XF2k7VfEfl+0UdSJO2xblDJhp',
+        'RcMuXhzMR7huVAc1mhG8ZU2vfULuLIwZpoTatxqCryTLZtmq50oKlt0PfVbqRIb4tdZ/QLxljKn0wY48XHu9HJEFpN6U7oYv3cWJtVv1ih3uEb7aC3ThTusilklv12Cd',
+        'O4xPH5hzvytEpPgcrnEvpw0qoOMILsc+AGIqyKj2Mdpa731ONwtcmRM96iHPPnnGlW43pFvLqzLDXfcxxgND7xG1/MM0YOyH0GI3k8YB5JBaxmpMhv5U3YCe7G4aSJ50',
+        'KrcU1LBvx/uqemGgcgHkKkbO9iaRRhV7kAiueKDmirt3LW0A36YYUwW5ddhMZLpAfPUa0LNumRy4SQ/PjN8JxkKaaybyg0AjUtUM90y4m2GuC1aC5br9ZNhC4xhVK2cd',
+        '2KNYk3hBs/aW4igSifok3BOcPJEpENI49nWwNFe1ZvSH6MtZlRe15JEwsoUm0xb/htygHGsCO5sgwGiL87LRTvU8x+8m14ExaUWl7DWhd61TvuBg8kp9wF0j4YP9Jn4Z',
+        'UjUCq0baZQVbykThaY9UO3Mtwj/Rq4DfV6IvyUcTfJcIhBdNuQtazhzCf17NTwrUMXADg7yh4weSqFIEnEXYreDCev0vvnaj+HwVojW/6bAG7mKU9FMsvA75egHaqDDE',
+        'ZLDenmiK6qqR/wewHpLrYo78qzkbWTBq7z/VvmPHC5NoIJ9biBXrOye1ZPMEfCGczE64EHcd5pBwS7aVVm/8Q+UmdDn7K0gRclQ732u6QRXFIU3R7JTOrRWJIHs46XUw',
+        't0nqC63LVJfXS4nFWNlFZoglgTjGpGQ8zxjtOeMenhSOUM8DxZXbvS7ne5or9YKoduSbZnsMSHbeV/mxEqRV+g+Kcdk/bCB/CucfOqyS+hPn1Kn5StkF86h9J2Wyhcth',
+        'tPSEqVYdel+jxhbWWgHPLVY9CcAruPIlwZwzZ9iPHcysNcIkj/jTqL5qntEMbSu0OlMKbyOEmS9RxI3ODkox2wo8I2zotDr2BEuItEOfaeq11Yz2XaOFZEMBzYZM8jt5',
+        'mVXyY7kAR18m/lR770zKeaBkkeOyWcFu3gg/6Zn2fady4sNHhw7QkGnqJ3D5xSKTEXwjS906FNmscu4pC7de1QTeF6M2fJ3iN48RuzOb4APB7i3HPhb+IJK1dVgqab4b',
+        'VYyhFfikUCS8m9c3DH5ROf1er5oEyZX/HI5Sw6Vv5inDcIZKzeoYyHGzRdYbiFkkRIERnHjUoUVh8Ren1wbmPv8t1l4yauV6QBdZrZXmsdpzxDLrgXBYRrsz35dCGoVN',
+        'kzG19iNqTokI855o5a1x/bHZTvZiAIXmMMuDNbePX5qzAHi7k8cHrv7Fgu9HH2IJohZTzRm3J9R/Yw13+86t8EDhEl+PrL8s0VgggzwQyjKNYB+qMb5Rsw2aT/txSyfQ',
+        'gk7wG0rbKYxTDmgtu3jSiUfzkWlB9ZwIpfPJJVw1D2UfoHnTBTr7e6Q46sNf80+iB9B26YvaIXbWayPHEOG8GGbdojd0qGI64qPTkAPjNMIl37Aq2Ihe4DFNi7LklX+9',
+        '/lfDR+2YXBHebJICs5UhfOZCuRE9ZvimNu+vjD+fdvM8D4zA5xPzyXEdSvlfp1KbdmEAeqYROXXEGGpAAqpI1geJLbFrIcpDtx1Q0zVy1qtlJ5xazJcJSo5WAmHsLlWQ',
+        'sctaIE+WfASbvzKxgyH0EdM4vP1JyPCskOm42njxKW6aP+kU2oCq53ec+X0X7j0N+8SA8yV4u9MY4cGDzagI2Clt+IXWLbZEWu10Fc8/ba6F5VeNHG1SJwVYLp0XYcq0',
+        '4nWmW5RLNAxgL71FomO3V4hJBq5Q5TBgonAsRhxq+4FFpAM9r1/60CeN3E+Y6r4rSQufL+i2lttz9IPNPI9SG2TNI/ABxv2Kz+sGjODLKJfQMuJxGaiE/z629JvatFAh',
+        'u+OT7HAMgRmnaAm2egxdlPnKZteADDa+RakPZuWn9zYJi0K9eGWhH1CtbCRRD3TrGqFZwNVDA5gggAldeA2T0WUYVSXNpEvkwD//Ldc6zR50tRhDr1v5hhvSULoqEoC3',
+        'nPpVrCrfPr97M5jB/IazRmv3hieQYejGU96+P+4v5DqJx3y3Nt6KLnOZWKpniPCrUzWQ8nMkyWmfNP+XdstO2ztvE9KHFlvyDuXSXjqjLMoAuz8P3K95KW6qG4vHoFqr',
+        'D/5EnmoVWvYCyh7dEaFFAoLpxwai3k0I5F2CAkXxaB/C56Mz7Jpzso9KGX8I2lXlf12m7FQ0E/CdOvtrTRJ+7Gss1QnyvZWwSIbsdzPEXt+6ImhViTyujbkm2MKjMbGF',
+        'WQaBYkjIAzfMaavtum2SFJ4uznSXvobRTgTOKLLbJMNLrpBWgkEl1Gc1tE+X+ChwlEGo2Cz4GnDuQnIeWOUM16tDu/0irN9X+h4xikId8DvD+RpHBfRBZLeUXOZ1mj2N',
+        'BXTmHMTidhDwnQvQaRKt1Q3+gBS9es1YDpas8olslyh43RqXbYoogKJzv9ddpc93UWuO3axvI+QUfsBDDPljzvS5OqJnMq2RV70rieJAhFc3yVHpZUWg3zLKThM4ykn2',
+        'jTLFTwroukMW51EE/yuHDrEmvFsyxYqlNvchpogtqxdaKFHUAPtOINp5/UsYtvGhdrIukQu2H45r/H+94KEbXwHvcqLLOGTPjLM4l2m2RtuY7Qp+/BZR03NU2GrIT+J1',
+        'n4rreJa5g8g9BGOlyXEsB+AaaaTTN+tSA6MpYgl1uNJGrl0i+HsS8VkN04DIF+djNk3VqEGc6QG7kRA68QO5QdIKwyM5XBPvmLPhM45b10mM9sJK8oRuxLNC5JNH+jac',
+        '2RPhjUWxmCyscvYkS514AsaLcCnPd2IuR6vjeZlhix/9Y0mp89l0KWlHgQ70Hpu5YCWAAF4lmRTUehmtzIcdb1SEN74Y1mpM4DyhYuszs/qkG/FbDr6L980bWsQoqNcz',
+        'g7FyEI1Lpb3pHNG4UN94N9OiQMyw3UT3MFbwbS1a6sQq/6F0WeoLxIUZuwbOiFYpaEC6ltw8IKFuhTf7EkjuV8ca6NAuxQY7klidcjupBfsTceWLEnSpY4ifvwjdpQ+U',
+        'tGgFyy+mfCac6FGRchrA3IHoCHtSruRKB+qTr2y6egmhP5VTfWX9gNUM9yrMZYvEWbUvVP46ywXoIT+FTbx4RBzbT+6SQ/pc1Gwy/dhEmxJPzqUy/hV+yGLWIlDTL5Hf',
+        'YPgoueEcm1EmaKqFFu1EI3/uF566IpRNr9Vl/Jsz8dKJpyiBFrLJAEG2EaUlZ+auNo4ebcpemC+0QqR/AutEJLyEbQKpRM+w67853laymduqQmvQfl/cby5+Dc0fYAJv',
+        'VjnjvlRsLZl28YNcx4sKdfpeuOxCqwrzdBD3ZcCacKoQ2Dnqi3Q0CXlIlwHFMHEKM5DgBEXxD7z3pFK1juGtxfuXagjz1ojlFsxJszj0U8Em2QB5J4PXVY+8MeAfVf/K',
+        'TJZbwxT1YOOPHvtff/BQzvVXuSuXrDaLFUDrbjZ8SRTWGrRBnh44qmQsngTTHZo+p4dLoOTDPR7pSoKgPooTNH70JaFItyKnx2vSpSSUF7R2HILracxU1GOZIcgK9aEv',
+        'clmKz3ZfxU/sh9tzYITjaO4Zz1oQZ66abcUUYNGv3GClB8xph9R3OlMON7hJ4mifPsimTAt8G+eEud5Ok17Ah+/GKPcS44QFuRs98r4vsAh8ObTwkjH7A9osqfkFbSa8',
+        '4nNA6C4D/pXehet1CMEu/wJh3DX5nLBHMAF0pifnEjulAUypNbFF+G6WVaYOTdZbx40lcEbBfl1AistMfOhDjlAgtpJXqWMatiieW9mMVH3SlhmHvClm78hb/j/MerFT',
+        'j+l9Z5PRIqAzzekni/iYH0T/n9QV6iO44XIdmDW/nw37g9UP7sFBznBI+RauPeUhq0bpcVLaDnmSH7WIC2TdIQ=='
+    ].join(''),
+
+    // Decoded tile, shared by every pipeline in this realm
+    tile: null,
+
+    /**
+     * The shared tile, decoded on first use
+     * @returns {Uint8Array} SIZE x SIZE values 0-255, top row first
+     */
+    get() {
+        if (!this.tile) {
+            const binary = atob(this.DATA);
+            this.tile = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                this.tile[i] = binary.charCodeAt(i);
+            }
+        }
+        return this.tile;
+    }
+};
+
+// Make available globally (window in content scripts, self in workers), and to require() in Node
+globalThis.BlueNoise = BlueNoise;
+if (typeof module === 'object' && module.exports) {
+    module.exports = BlueNoise;
+}
@@ -0,0 +1,169 @@
+// Caption Layer - Draws the video's own text track cues above the overlay
+// The browser renders <track> captions inside the video, underneath the
+// overlay canvas. This layer renders the active cues of every showing
+// subtitles/captions track again, on top of the enhanced picture, following
+// the WebVTT cue settings (line, position, size, align) and the cue's markup
+// (getCueAsHTML). Vertical cues and regions are laid out as horizontal
+// cues, and page ::cue styles are not applied.
+
+class CaptionLayer {
+    // Font size as a share of the picture height, close to the browser's own captions
+    static FONT_SCALE = 0.045;
+    static LINE_HEIGHT = 1.25;
+
+    // Track kinds that are shown on screen
+    static KINDS = ['subtitles', 'captions'];
+
+    /**
+     * @param {HTMLVideoElement} video - Video whose text tracks are shown
+     * @param {HTMLElement} parent - Overlay element covering the picture
+     */
+    constructor(video, parent) {
+        this.video = video;
+        this.tracks = new Set();
+        this.update = this.update.bind(this);
+        this.watchTracks = this.watchTracks.bind(this);
+
+        this.element = document.createElement('div');
+        this.element.className = 'video-enhance-captions';
+        this.element.style.cssText = `
+      position: absolute;
+      inset: 0;
+      overflow: hidden;
+      pointer-events: none;
+      font-family: sans-serif;
+      color: #fff;
+      z-index: 1;
+    `;
+        parent.appendChild(this.element);
+
+        video.textTracks.addEventListener('addtrack', this.watchTracks);
+        video.textTracks.addEventListener('change', this.update);
+        this.watchTracks();
+    }
+
+    /**
+     * Listen for cue changes on tracks not seen yet
+     */
+    watchTracks() {
+        for (const track of this.video.textTracks) {
+            if (this.tracks.has(track)) continue;
+            track.addEventListener('cuechange', this.update);
+            this.tracks.add(track);
+        }
+        this.update();
+    }
+
+    /**
+     * Re-render the active cues (also after the picture is resized)
+     */
+    update() {
+        const cues = [];
+        for (const track of this.video.textTracks) {
+            if (track.mode !== 'showing' || !CaptionLayer.KINDS.includes(track.kind)) continue;
+            cues.push(...Array.from(track.activeCues || []));
+        }
+
+        const height = this.element.clientHeight;
+        const fontSize = Math.max(10, height * CaptionLayer.FONT_SCALE);
+        this.element.style.fontSize = `${fontSize}px`;
+        this.element.style.lineHeight = String(CaptionLayer.LINE_HEIGHT);
+        this.element.replaceChildren();
+
+        // Cues without a line setting stack up from the bottom
+        const stack = document.createElement('div');
+        stack.style.cssText = `
+      position: absolute;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      display: flex;
+      flex-direction: column;
+      justify-content: flex-end;
+    `;
+
+        for (const cue of cues) {
+            const box = this.createCueBox(cue);
+            if (cue.line === 'auto' || cue.line === undefined) {
+                stack.appendChild(box);
+            } else {
+                this.placeOnLine(box, cue, fontSize * CaptionLayer.LINE_HEIGHT);
+                this.element.appendChild(box);
+            }
+        }
+        if (stack.childElementCount > 0) this.element.appendChild(stack);
+    }
+
+    /**
+     * Build the element for one cue, positioned horizontally
+     */
+    createCueBox(cue) {
+        const box = document.createElement('div');
+        box.className = 'video-enhance-cue';
+
+        const text = document.createElement('span');
+        text.style.cssText = `
+      background: rgba(0, 0, 0, 0.8);
+      padding: 0 0.25em;
+      white-space: pre-line;
+      -webkit-box-decoration-break: clone;
+      box-decoration-break: clone;
+    `;
+        text.appendChild(typeof cue.getCueAsHTML === 'function'
+            ? cue.getCueAsHTML()
+            : document.createTextNode(cue.text || ''));
+        box.appendChild(text);
+
+        const align = cue.align || 'center';
+        const size = typeof cue.size === 'number' ? cue.size : 100;
+
+        // 'auto' position and position alignment follow the text alignment
+        const position = typeof cue.position === 'number'
+            ? cue.position
+            : { start: 0, left: 0, end: 100, right: 100 }[align] ?? 50;
+        const positionAlign = cue.positionAlign && cue.positionAlign !== 'auto'
+            ? cue.positionAlign
+            : { start: 'line-left', left: 'line-left', end: 'line-right', right: 'line-right' }[align] || 'center';
+        const offset = { 'line-left': 0, center: size / 2, 'line-right': size }[positionAlign] ?? size / 2;
+        const left = Math.min(100 - size, Math.max(0, position - offset));
+
+        box.style.cssText = `
+      position: relative;
+      margin-left: ${left}%;
+      width: ${size}%;
+      text-align: ${align};
+    `;
+        return box;
+    }
+
+    /**
+     * Place a cue with a line setting: a line number (snapToLines) or a
+     * percentage of the picture height
+     */
+    placeOnLine(box, cue, lineHeight) {
+        box.style.position = 'absolute';
+        box.style.left = box.style.marginLeft;
+        box.style.marginLeft = '0';
+
+        if (cue.snapToLines === false) {
+            const shift = { start: '0', center: '-50%', end: '-100%' }[cue.lineAlign] || '0';
+            box.style.top = `${cue.line}%`;
+            box.style.transform = `translateY(${shift})`;
+        } else if (cue.line >= 0) {
+            box.style.top = `${cue.line * lineHeight}px`;
+        } else {
+            box.style.bottom = `${(-cue.line - 1) * lineHeight}px`;
+        }
+    }
+
+    destroy() {
+        this.video.textTracks.removeEventListener('addtrack', this.watchTracks);
+        this.video.textTracks.removeEventListener('change', this.update);
+        this.tracks.forEach(track => track.removeEventListener('cuechange', this.update));
+        this.tracks.clear();
+        this.element.remove();
+    }
+}
+
+// Make available globally
+window.CaptionLayer = CaptionLayer;
@@ -0,0 +1,217 @@
+// CPU Pipeline - Software fallback when no GPU backend works
+// Downscales each frame with createImageBitmap, runs the CPU reference chain
+// (content/cpu-reference.js) in a worker and draws the result to a 2D canvas.
+// Frames arriving while the worker is busy are skipped. If the page's CSP
+// blocks blob workers, the chain runs on the main thread instead.
+
+class CpuPipeline extends ShaderPipeline {
+    // Largest frame processed in software (640x360)
+    static MAX_PIXELS = 640 * 360;
+
+    // Scripts concatenated into the worker blob, in order
+    static WORKER_SOURCES = ['content/blue-noise.js', 'content/cpu-reference.js', 'content/cpu-worker.js'];
+
+    /**
+     * @param {CanvasRenderingContext2D} context - Context of the overlay canvas
+     */
+    constructor(context) {
+        super(null);
+        this.context = context;
+        this.worker = null;
+        this.workerReady = null;
+        this.busy = false;
+        this.frameId = 0;
+        this.timings = [];
+        this.scratch = null;
+
+        // Denoise output per history slot, for the main-thread fallback
+        // (the worker keeps its own)
+        this.historyFrames = [null, null];
+    }
+
+    /**
+     * Passes the CPU chain implements
+     */
+    supportsPasses(names) {
+        return names.every(name => name in window.CpuReference.PASSES);
+    }
+
+    // No upscaling in software; the browser scales the canvas
+    setUpscaler() {
+        this.upscaler = null;
+    }
+
+    /**
+     * Start the worker (once); presets need no compilation
+     */
+    async load() {
+        if (!this.workerReady) {
+            this.workerReady = this.startWorker();
+        }
+        await this.workerReady;
+        return this;
+    }
+
+    /**
+     * Create the worker from a blob URL, since extension scripts can't be
+     * started as workers from a page's origin
+     */
+    async startWorker() {
+        try {
+            const sources = await Promise.all(CpuPipeline.WORKER_SOURCES.map(path => ShaderPipeline.loadSource(path)));
+            const url = URL.createObjectURL(new Blob(sources, { type: 'text/javascript' }));
+            this.worker = new Worker(url);
+            URL.revokeObjectURL(url);
+            this.worker.onmessage = (e) => this.handleResult(e.data);
+            this.worker.onerror = (e) => {
+                console.warn('[Video Enhance] CPU worker failed, processing on main thread:', e.message);
+                e.preventDefault();
+                this.worker.terminate();
+                this.worker = null;
+                this.busy = false;
+            };
+        } catch (e) {
+            console.warn('[Video Enhance] CPU worker unavailable, processing on main thread:', e.message);
+            this.worker = null;
+        }
+    }
+
+    resize(width, height, outputWidth = width, outputHeight = height) {
+        this.width = width;
+        this.height = height;
+        this.outputWidth = outputWidth;
+        this.outputHeight = outputHeight;
+    }
+
+    /**
+     * Process a frame
+     * The result is drawn when the worker finishes, usually a frame later
+     * @param {HTMLVideoElement} source - Video to read the frame from
+     */
+    render(source, preset, uniforms) {
+        if (this.busy || !this.context) return;
+
+        const passes = this.getActivePasses(preset);
+        const temporal = passes.includes('denoise');
+        if (!temporal) this.resetHistory();
+
+        const params = {
+            passes,
+            expandRange: Boolean(preset.expandRange),
+            denoising: uniforms.u_denoising,
+            // Slot the denoise output goes in, and whether the other holds the previous frame
+            history: temporal ? this.advanceHistory() : null,
+            deblocking: uniforms.u_deblocking,
+            videoSize: uniforms.u_videoSize,
+            debanding: uniforms.u_debanding,
+            smoothing: uniforms.u_smoothing,
+            sharpening: uniforms.u_sharpening,
+            reducedTaps: uniforms.u_reducedTaps > 0.5,
+            quantStep: uniforms.u_quantStep,
+            debandRadius: uniforms.u_debandRadius,
+            debandThreshold: uniforms.u_debandThreshold,
+            debandIterations: uniforms.u_debandIterations,
+            noiseOffset: uniforms.u_noiseOffset,
+            lumaWeights: uniforms.u_lumaWeights,
+            linearLight: uniforms.u_linearLight > 0.5
+        };
+
+        if (!this.worker) {
+            this.renderInline(source, params);
+            return;
+        }
+
+        this.busy = true;
+        const id = ++this.frameId;
+        createImageBitmap(source, { resizeWidth: this.width, resizeHeight: this.height, resizeQuality: 'medium' })
+            .then(bitmap => {
+                if (!this.worker) {
+                    bitmap.close();
+                    this.busy = false;
+                    return;
+                }
+                this.worker.postMessage({ bitmap, params, id }, [bitmap]);
+            })
+            .catch(e => {
+                // Cross-origin frames can't be read back
+                console.warn('[Video Enhance] Could not read video frame:', e.message);
+                this.busy = false;
+            });
+    }
+
+    /**
+     * Main-thread fallback when no worker could be started
+     */
+    renderInline(source, params) {
+        const start = performance.now();
+
+        if (!this.scratch || this.scratch.canvas.width !== this.width || this.scratch.canvas.height !== this.height) {
+            this.scratch = new OffscreenCanvas(this.width, this.height).getContext('2d', { willReadFrequently: true });
+        }
+        this.scratch.drawImage(source, 0, 0, this.width, this.height);
+
+        let frame;
+        try {
+            frame = this.scratch.getImageData(0, 0, this.width, this.height);
+        } catch (e) {
+            // Cross-origin frames can't be read back
+            console.warn('[Video Enhance] Could not read video frame:', e.message);
+            return;
+        }
+
+        const slot = params.history;
+        const result = window.CpuReference.runChain(frame, {
+            ...params,
+            history: slot?.valid ? this.historyFrames[1 - slot.index] : null
+        });
+        if (slot) this.historyFrames[slot.index] = result.history;
+        this.draw(result.data, result.width, result.height);
+        this.timings.push(performance.now() - start);
+    }
+
+    /**
+     * Worker finished a frame
+     */
+    handleResult({ data, width, height, ms }) {
+        this.busy = false;
+        this.timings.push(ms);
+        if (this.context) this.draw(data, width, height);
+    }
+
+    /**
+     * Put processed pixels on the canvas, stretched to its size
+     */
+    draw(data, width, height) {
+        const image = new ImageData(data, width, height);
+        const canvas = this.context.canvas;
+
+        if (canvas.width === width && canvas.height === height) {
+            this.context.putImageData(image, 0, 0);
+            return;
+        }
+        createImageBitmap(image).then(bitmap => {
+            if (this.context) this.context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+        });
+    }
+
+    /**
+     * Processing times reported since the last call, for the performance governor
+     * @returns {number[]} Milliseconds per frame
+     */
+    takeTimings() {
+        const timings = this.timings;
+        this.timings = [];
+        return timings;
+    }
+
+    destroy() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.context = null;
+        this.scratch = null;
+    }
+}
+
+// Make available globally
+window.CpuPipeline = CpuPipeline;
@@ -0,0 +1,447 @@
+// CPU Reference - Pure-JS versions of the range, denoise, deblock, deband, smooth and sharpen passes
+// Used by the software fallback (content/cpu-pipeline.js) and as the reference
+// the GPU shaders are checked against (test/cpu-reference.test.js compares it
+// with stored WebGPU readbacks on still images). Works on ImageData-shaped objects
+// ({ data: Uint8ClampedArray RGBA, width, height }) and has no DOM dependencies,
+// so it also loads in workers and in Node (require() returns the same object).
+// Dithering reads the blue-noise tile from content/blue-noise.js, which is
+// loaded alongside it (or required from the same directory in Node).
+//
+// Each function mirrors its shader in shaders/*.glsl: texture coordinates have
+// (0, 0) at the bottom-left, neighbours are clamped at the edges, and colours
+// are processed as 0-1 floats.
+
+const CpuReference = {
+    // Tile offsets of the red, green and blue dither (as in shaders/deband.glsl)
+    NOISE_OFFSETS: [[0, 0], [23, 41], [47, 11]],
+
+    // Coding block size in source pixels (as in shaders/deblock.glsl)
+    BLOCK_SIZE: 8,
+
+    // Share of the history kept on static pixels at full strength (as in shaders/denoise.glsl)
+    MAX_HISTORY: 0.8,
+
+    // BT.601 luma coefficients, used when params.lumaWeights is missing
+    LUMA_WEIGHTS: [0.299, 0.587, 0.114],
+
+    // Limited-range black and white levels (as in shaders/range.glsl)
+    RANGE_BLACK: 16 / 255,
+    RANGE_WHITE: 235 / 255,
+
+    // Passes that filter in linear light when params.linearLight is set, and
+    // the display gamma assumed for it
+    LINEAR_PASSES: ['smooth', 'sharpen'],
+    GAMMA: 2.2,
+
+    // Passes with a CPU implementation, and when each does any work
+    PASSES: {
+        range: (params) => Boolean(params.expandRange),
+        denoise: (params) => params.denoising > 0,
+        deblock: (params) => params.deblocking > 0,
+        deband: (params) => params.debanding > 0,
+        smooth: (params) => params.smoothing > 0,
+        sharpen: (params) => params.sharpening > 0,
+        copy: () => true
+    },
+
+    /**
+     * Convert an RGBA image to planar 0-1 floats (alpha dropped)
+     * @returns {Float32Array} RGB triples, top row first
+     */
+    toFloat(image) {
+        const { data, width, height } = image;
+        const out = new Float32Array(width * height * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            out[j] = data[i] / 255;
+            out[j + 1] = data[i + 1] / 255;
+            out[j + 2] = data[i + 2] / 255;
+        }
+        return out;
+    },
+
+    /**
+     * Convert RGB floats back to an opaque RGBA image
+     */
+    toImage(rgb, width, height) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0, j = 0; j < rgb.length; i += 4, j += 3) {
+            data[i] = Math.round(rgb[j] * 255);
+            data[i + 1] = Math.round(rgb[j + 1] * 255);
+            data[i + 2] = Math.round(rgb[j + 2] * 255);
+            data[i + 3] = 255;
+        }
+        return { data, width, height };
+    },
+
+    luma(r, g, b, weights = this.LUMA_WEIGHTS) {
+        return r * weights[0] + g * weights[1] + b * weights[2];
+    },
+
+    /**
+     * Raise every value to a power, clamping negatives to 0 (gamma encode/decode)
+     */
+    applyGamma(rgb, exponent) {
+        const out = new Float32Array(rgb.length);
+        for (let i = 0; i < rgb.length; i++) {
+            out[i] = Math.pow(Math.max(0, rgb[i]), exponent);
+        }
+        return out;
+    },
+
+    /**
+     * The blue-noise module: a global in browsers and workers, required in Node
+     */
+    getBlueNoise() {
+        return globalThis.BlueNoise || require('./blue-noise.js');
+    },
+
+    /**
+     * Blue-noise tile value in [0, 1) for a pixel (y counts up from the bottom)
+     */
+    tileNoise(tile, size, x, y, dx, dy) {
+        return tile[((y + dy) % size) * size + (x + dx) % size] / 255;
+    },
+
+    /**
+     * Add a bilinear sample at a pixel position (x right, row down) to sum,
+     * clamped at the edges like a CLAMP_TO_EDGE texture
+     */
+    addSample(rgb, width, height, x, row, sum) {
+        const px = Math.min(width - 1, Math.max(0, x));
+        const py = Math.min(height - 1, Math.max(0, row));
+        const x0 = Math.floor(px);
+        const y0 = Math.floor(py);
+        const x1 = Math.min(width - 1, x0 + 1);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fx = px - x0;
+        const fy = py - y0;
+
+        for (let c = 0; c < 3; c++) {
+            const top = rgb[(y0 * width + x0) * 3 + c] * (1 - fx) + rgb[(y0 * width + x1) * 3 + c] * fx;
+            const bottom = rgb[(y1 * width + x0) * 3 + c] * (1 - fx) + rgb[(y1 * width + x1) * 3 + c] * fx;
+            sum[c] += top + (bottom - top) * fy;
+        }
+    },
+
+    /**
+     * Range: stretch limited-range levels (16-235) to full range
+     */
+    range(rgb) {
+        const out = new Float32Array(rgb.length);
+        const scale = 1 / (this.RANGE_WHITE - this.RANGE_BLACK);
+        for (let i = 0; i < rgb.length; i++) {
+            out[i] = Math.min(1, Math.max(0, (rgb[i] - this.RANGE_BLACK) * scale));
+        }
+        return out;
+    },
+
+    /**
+     * Temporal denoise: blend with params.history (this pass's output for the
+     * previous frame, RGB floats of the same size) where the 3x3 mean luma
+     * barely changed, after clamping it to the current 3x3 range
+     * Without history the frame passes through. params.reducedTaps limits the
+     * neighbourhood to the 4 direct neighbours.
+     */
+    denoise(rgb, width, height, params) {
+        const history = params.history;
+        if (!history || history.length !== rgb.length) return rgb;
+
+        const out = new Float32Array(rgb.length);
+        const strength = params.denoising;
+        const limit = (3 + 9 * strength) / 255;
+        const minColor = [0, 0, 0];
+        const maxColor = [0, 0, 0];
+        const sum = [0, 0, 0];
+        const historySum = [0, 0, 0];
+
+        for (let row = 0; row < height; row++) {
+            for (let x = 0; x < width; x++) {
+                const i = (row * width + x) * 3;
+                for (let c = 0; c < 3; c++) {
+                    minColor[c] = maxColor[c] = sum[c] = rgb[i + c];
+                    historySum[c] = history[i + c];
+                }
+                let count = 1;
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        if (params.reducedTaps && dx !== 0 && dy !== 0) continue;
+
+                        const sx = Math.min(width - 1, Math.max(0, x + dx));
+                        const sy = Math.min(height - 1, Math.max(0, row + dy));
+                        const j = (sy * width + sx) * 3;
+                        for (let c = 0; c < 3; c++) {
+                            minColor[c] = Math.min(minColor[c], rgb[j + c]);
+                            maxColor[c] = Math.max(maxColor[c], rgb[j + c]);
+                            sum[c] += rgb[j + c];
+                            historySum[c] += history[j + c];
+                        }
+                        count++;
+                    }
+                }
+
+                const motion = Math.abs(this.luma(
+                    sum[0] - historySum[0], sum[1] - historySum[1], sum[2] - historySum[2], params.lumaWeights)) / count;
+                const t = Math.min(1, Math.max(0, (motion - limit * 0.25) / (limit * 0.75)));
+                const weight = strength * this.MAX_HISTORY * (1 - t * t * (3 - 2 * t));
+
+                for (let c = 0; c < 3; c++) {
+                    const previous = Math.min(maxColor[c], Math.max(minColor[c], history[i + c]));
+                    out[i + c] = rgb[i + c] + (previous - rgb[i + c]) * weight;
+                }
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Filter one channel-triple across the nearest block edge along an axis
+     * position is the pixel's source coordinate along the axis and scale the
+     * image pixels per source pixel; sample(offset, sum) adds the colour that
+     * many image pixels along the axis. The result is written to out.
+     */
+    filterAcross(color, position, scale, strength, sample, out, weights) {
+        const edge = Math.floor(position / this.BLOCK_SIZE + 0.5) * this.BLOCK_SIZE;
+        const offset = position - edge;
+        out[0] = color[0];
+        out[1] = color[1];
+        out[2] = color[2];
+        if (Math.abs(offset) >= 2) return;
+
+        const taps = [-1.5, -0.5, 0.5, 1.5].map(distance => {
+            const sum = [0, 0, 0];
+            sample((distance - offset) * scale, sum);
+            return sum;
+        });
+        const [p1, p0, q0, q1] = taps;
+        const luma = (c) => this.luma(c[0], c[1], c[2], weights);
+
+        const alpha = (4 + 20 * strength) / 255;
+        const beta = (2 + 6 * strength) / 255;
+        if (Math.abs(luma(p0) - luma(q0)) >= alpha ||
+            Math.abs(luma(p1) - luma(p0)) >= beta ||
+            Math.abs(luma(q1) - luma(q0)) >= beta) {
+            return;
+        }
+
+        const t = (offset + 1.5) / 3;
+        for (let c = 0; c < 3; c++) {
+            const ramp = p1[c] + (q1[c] - p1[c]) * t;
+            out[c] = color[c] + (ramp - color[c]) * strength;
+        }
+    },
+
+    /**
+     * Deblock: where a pixel is within two source pixels of the 8x8 coding
+     * grid and the step across the edge is small with flat sides, replace the
+     * step with a ramp, blended in by deblocking
+     * params.videoSize is the source [width, height] the grid is laid out in
+     * (defaults to the image size)
+     */
+    deblock(rgb, width, height, params) {
+        const out = new Float32Array(rgb.length);
+        const [videoWidth, videoHeight] = params.videoSize || [width, height];
+        const scaleX = width / videoWidth;
+        const scaleY = height / videoHeight;
+        const strength = params.deblocking;
+        const color = [0, 0, 0];
+        const horizontal = [0, 0, 0];
+        const vertical = [0, 0, 0];
+
+        for (let row = 0; row < height; row++) {
+            // Source rows count from the top, like the grid
+            const sourceY = (row + 0.5) / scaleY;
+            for (let x = 0; x < width; x++) {
+                const i = (row * width + x) * 3;
+                color[0] = rgb[i];
+                color[1] = rgb[i + 1];
+                color[2] = rgb[i + 2];
+
+                const sourceX = (x + 0.5) / scaleX;
+                this.filterAcross(color, sourceX, scaleX, strength,
+                    (d, sum) => this.addSample(rgb, width, height, x + d, row, sum), horizontal, params.lumaWeights);
+                this.filterAcross(color, sourceY, scaleY, strength,
+                    (d, sum) => this.addSample(rgb, width, height, x, row + d, sum), vertical, params.lumaWeights);
+
+                // Pixels next to a corner get both corrections
+                for (let c = 0; c < 3; c++) {
+                    out[i + c] = Math.min(1, Math.max(0, horizontal[c] + vertical[c] - color[c]));
+                }
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Deband: replace pixels on low-contrast plateaus with the average of
+     * four samples at a random distance and angle, for debandIterations rounds
+     * (one with reducedTaps), then add per-channel blue noise spanning
+     * quantStep * debanding * 2
+     * params.quantStep is the detected quantization step (default one 8-bit
+     * level) and scales debandThreshold; params.noiseOffset animates the dither
+     * @param {Float32Array} rgb - Pixels from toFloat (modified copy is returned)
+     */
+    deband(rgb, width, height, params) {
+        const out = new Float32Array(rgb.length);
+        const quantStep = params.quantStep || 1 / 255;
+        const amount = quantStep * params.debanding * 2;
+        const offset = params.noiseOffset || 0;
+        const radius = params.debandRadius ?? 16;
+        const threshold = (params.debandThreshold ?? 0.75) * quantStep;
+        const iterations = Math.min(params.reducedTaps ? 1 : 4, params.debandIterations ?? 1);
+        const blueNoise = this.getBlueNoise();
+        const tile = blueNoise.get();
+        const size = blueNoise.SIZE;
+        const color = [0, 0, 0];
+        const sum = [0, 0, 0];
+
+        for (let row = 0; row < height; row++) {
+            // Pixel row in shader coordinates (gl_FragCoord counts up from the bottom)
+            const y = height - 1 - row;
+            for (let x = 0; x < width; x++) {
+                const i = (row * width + x) * 3;
+                color[0] = rgb[i];
+                color[1] = rgb[i + 1];
+                color[2] = rgb[i + 2];
+
+                for (let n = 1; n <= iterations; n++) {
+                    const dist = this.tileNoise(tile, size, x, y, 13 * n, 29 * n) * radius * n;
+                    const dir = this.tileNoise(tile, size, x, y, 13 * n + 31, 29 * n + 17) * 2 * Math.PI;
+                    const ox = dist * Math.cos(dir);
+                    const oy = dist * Math.sin(dir);
+
+                    // Offsets point up in shader coordinates, rows count down
+                    sum.fill(0);
+                    this.addSample(rgb, width, height, x + ox, row - oy, sum);
+                    this.addSample(rgb, width, height, x - ox, row + oy, sum);
+                    this.addSample(rgb, width, height, x - oy, row - ox, sum);
+                    this.addSample(rgb, width, height, x + oy, row + ox, sum);
+
+                    for (let c = 0; c < 3; c++) {
+                        const average = sum[c] * 0.25;
+                        if (Math.abs(color[c] - average) < threshold / n) color[c] = average;
+                    }
+                }
+
+                for (let c = 0; c < 3; c++) {
+                    const [dx, dy] = this.NOISE_OFFSETS[c];
+                    const noise = ((this.tileNoise(tile, size, x, y, dx, dy) + offset) % 1 - 0.5) * amount;
+                    out[i + c] = Math.min(1, Math.max(0, color[c] + noise));
+                }
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Smooth: edge-aware 3x3 average, blended in by smoothing * 0.5
+     * params.reducedTaps limits it to the 4 direct neighbours
+     */
+    smooth(rgb, width, height, params) {
+        const out = new Float32Array(rgb.length);
+        const blend = params.smoothing * 0.5;
+
+        for (let row = 0; row < height; row++) {
+            for (let x = 0; x < width; x++) {
+                const i = (row * width + x) * 3;
+                const centerLuma = this.luma(rgb[i], rgb[i + 1], rgb[i + 2], params.lumaWeights);
+                let r = rgb[i];
+                let g = rgb[i + 1];
+                let b = rgb[i + 2];
+                let weightSum = 1;
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        if (params.reducedTaps && dx !== 0 && dy !== 0) continue;
+
+                        const sx = Math.min(width - 1, Math.max(0, x + dx));
+                        const sy = Math.min(height - 1, Math.max(0, row + dy));
+                        const j = (sy * width + sx) * 3;
+                        const diff = Math.abs(centerLuma - this.luma(rgb[j], rgb[j + 1], rgb[j + 2], params.lumaWeights));
+                        const weight = Math.exp(-diff * 10) * 0.5;
+
+                        r += rgb[j] * weight;
+                        g += rgb[j + 1] * weight;
+                        b += rgb[j + 2] * weight;
+                        weightSum += weight;
+                    }
+                }
+
+                out[i] = rgb[i] + (r / weightSum - rgb[i]) * blend;
+                out[i + 1] = rgb[i + 1] + (g / weightSum - rgb[i + 1]) * blend;
+                out[i + 2] = rgb[i + 2] + (b / weightSum - rgb[i + 2]) * blend;
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Sharpen: unsharp mask against the 4 direct neighbours, reduced on strong edges
+     */
+    sharpen(rgb, width, height, params) {
+        const out = new Float32Array(rgb.length);
+        const amount = params.sharpening;
+
+        for (let row = 0; row < height; row++) {
+            const up = Math.max(0, row - 1);
+            const down = Math.min(height - 1, row + 1);
+            for (let x = 0; x < width; x++) {
+                const i = (row * width + x) * 3;
+                const left = (row * width + Math.max(0, x - 1)) * 3;
+                const right = (row * width + Math.min(width - 1, x + 1)) * 3;
+                const above = (up * width + x) * 3;
+                const below = (down * width + x) * 3;
+
+                const diff = [0, 0, 0];
+                for (let c = 0; c < 3; c++) {
+                    const neighbors = (rgb[left + c] + rgb[right + c] + rgb[above + c] + rgb[below + c]) * 0.25;
+                    diff[c] = rgb[i + c] - neighbors;
+                }
+
+                const adaptive = 1 - Math.min(Math.hypot(diff[0], diff[1], diff[2]) * 2, 0.5);
+                for (let c = 0; c < 3; c++) {
+                    const sharpened = rgb[i + c] + diff[c] * amount;
+                    out[i + c] = Math.min(1, Math.max(0, rgb[i + c] + (sharpened - rgb[i + c]) * adaptive));
+                }
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Run a pass chain over an image
+     * @param {Object} image - { data, width, height } RGBA input
+     * @param {Object} params - { passes, expandRange, denoising, history, deblocking, videoSize, debanding,
+     *   debandRadius, debandThreshold, debandIterations, smoothing, sharpening, quantStep, noiseOffset,
+     *   reducedTaps, lumaWeights, linearLight }
+     * @returns {Object} New { data, width, height } image; `history` holds the
+     *   denoise output to pass in as params.history for the next frame
+     */
+    runChain(image, params) {
+        const { width, height } = image;
+        let rgb = this.toFloat(image);
+        let history = null;
+
+        for (const name of params.passes || ['denoise', 'deblock', 'deband', 'smooth', 'sharpen']) {
+            const isActive = this.PASSES[name];
+            if (!isActive || name === 'copy' || !isActive(params)) continue;
+            if (params.linearLight && this.LINEAR_PASSES.includes(name)) {
+                const linear = this[name](this.applyGamma(rgb, this.GAMMA), width, height, params);
+                rgb = this.applyGamma(linear, 1 / this.GAMMA);
+            } else {
+                rgb = this[name](rgb, width, height, params);
+            }
+            if (name === 'denoise') history = rgb;
+        }
+
+        return { ...this.toImage(rgb, width, height), history };
+    }
+};
+
+// Make available globally (window in content scripts, self in workers), and to require() in Node
+globalThis.CpuReference = CpuReference;
+if (typeof module === 'object' && module.exports) {
+    module.exports = CpuReference;
+}
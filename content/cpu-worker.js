@@ -0,0 +1,37 @@
+// CPU Worker - Runs the CPU reference chain off the main thread
+// Started by content/cpu-pipeline.js from a blob that also contains
+// content/blue-noise.js and content/cpu-reference.js. Receives downscaled frames as ImageBitmaps and
+// returns processed RGBA pixels.
+// The denoise pass's output stays here between frames as its history;
+// params.history says which slot to write and whether the other is usable
+// (see ShaderPipeline.advanceHistory).
+
+let context = null;
+const historyFrames = [null, null];
+
+self.onmessage = (e) => {
+    const { bitmap, params, id } = e.data;
+    const { width, height } = bitmap;
+    const start = performance.now();
+
+    if (!context || context.canvas.width !== width || context.canvas.height !== height) {
+        context = new OffscreenCanvas(width, height).getContext('2d', { willReadFrequently: true });
+    }
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const slot = params.history;
+    const result = self.CpuReference.runChain(context.getImageData(0, 0, width, height), {
+        ...params,
+        history: slot?.valid ? historyFrames[1 - slot.index] : null
+    });
+    if (slot) historyFrames[slot.index] = result.history;
+
+    self.postMessage({
+        id,
+        data: result.data,
+        width,
+        height,
+        ms: performance.now() - start
+    }, [result.data.buffer]);
+};
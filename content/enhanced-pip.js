@@ -0,0 +1,177 @@
+// Enhanced Picture-in-Picture - Shows the processed output in a floating window
+// The overlay canvas is captured with captureStream() into a <video>, which is
+// placed in a Document Picture-in-Picture window where supported, or put into
+// regular Picture-in-Picture otherwise. The browser's own PiP button on the
+// original video still shows the unprocessed picture.
+// Both APIs need a user gesture in the page, so this starts from a keypress.
+
+class EnhancedPip {
+    // Frame rate of the timer that drives rendering while the tab may be hidden
+    static TIMER_FPS = 60;
+
+    static isSupported() {
+        return EnhancedPip.hasDocumentPip() || document.pictureInPictureEnabled;
+    }
+
+    /**
+     * Document PiP windows can only be opened from a top-level page, not an iframe
+     */
+    static hasDocumentPip() {
+        return 'documentPictureInPicture' in window && window.top === window;
+    }
+
+    /**
+     * @param {VideoProcessor} processor - Processor whose output is shown
+     * @param {Function} onClose - Called once the window closes
+     */
+    constructor(processor, onClose) {
+        this.processor = processor;
+        this.onClose = onClose;
+        this.pipWindow = null;
+        this.pipVideo = null;
+        this.stream = null;
+        this.closed = false;
+        this.close = this.close.bind(this);
+        this.syncPlayback = this.syncPlayback.bind(this);
+    }
+
+    /**
+     * Open the window; must run inside a user gesture
+     */
+    async open() {
+        const video = this.processor.video;
+
+        this.stream = this.processor.canvas.captureStream();
+        this.pipVideo = document.createElement('video');
+        this.pipVideo.muted = true;
+        this.pipVideo.playsInline = true;
+        this.pipVideo.srcObject = this.stream;
+
+        try {
+            if (EnhancedPip.hasDocumentPip()) {
+                await this.openDocumentPip(video);
+            } else {
+                await this.openVideoPip();
+            }
+        } catch (e) {
+            this.close();
+            throw e;
+        }
+
+        // The PiP window's controls act on the original video
+        this.pipVideo.addEventListener('play', this.syncPlayback);
+        this.pipVideo.addEventListener('pause', this.syncPlayback);
+
+        // A backend switch brings a new canvas
+        this.processor.onCanvasReplaced = (canvas) => this.replaceStream(canvas);
+        console.log('[Video Enhance] Enhanced Picture-in-Picture opened');
+    }
+
+    /**
+     * Document PiP: a small window holding the output video; its animation
+     * frames keep the processor drawing while this tab is in the background
+     */
+    async openDocumentPip(video) {
+        const aspect = (video.videoWidth || 16) / (video.videoHeight || 9);
+        const width = Math.min(480, video.videoWidth || 480);
+
+        this.pipWindow = await window.documentPictureInPicture.requestWindow({
+            width,
+            height: Math.round(width / aspect)
+        });
+
+        const doc = this.pipWindow.document;
+        doc.body.style.cssText = 'margin: 0; background: #000; overflow: hidden;';
+        this.pipVideo.style.cssText = 'display: block; width: 100vw; height: 100vh; object-fit: contain; cursor: pointer;';
+        this.pipVideo.addEventListener('click', () => {
+            if (video.paused) {
+                video.play().catch(() => { });
+            } else {
+                video.pause();
+            }
+        });
+        doc.body.appendChild(this.pipVideo);
+
+        const pipWindow = this.pipWindow;
+        this.processor.setFrameClock({
+            request: (callback) => pipWindow.requestAnimationFrame(callback),
+            cancel: (id) => pipWindow.cancelAnimationFrame(id)
+        });
+        pipWindow.addEventListener('pagehide', this.close);
+
+        await this.pipVideo.play();
+    }
+
+    /**
+     * Video PiP: the output video itself goes into Picture-in-Picture
+     * Animation frames stop in hidden tabs, so a timer drives rendering
+     */
+    async openVideoPip() {
+        await this.pipVideo.play();
+        await this.pipVideo.requestPictureInPicture();
+
+        this.processor.setFrameClock({
+            request: (callback) => setTimeout(callback, 1000 / EnhancedPip.TIMER_FPS),
+            cancel: (id) => clearTimeout(id)
+        });
+        this.pipVideo.addEventListener('leavepictureinpicture', this.close);
+    }
+
+    /**
+     * Capture a new canvas
+     */
+    replaceStream(canvas) {
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = canvas.captureStream();
+        this.pipVideo.srcObject = this.stream;
+        this.pipVideo.play().catch(() => { });
+    }
+
+    /**
+     * Mirror play/pause from the PiP controls onto the original video
+     */
+    syncPlayback() {
+        const video = this.processor.video;
+        if (this.pipVideo.paused && !video.paused) {
+            video.pause();
+        } else if (!this.pipVideo.paused && video.paused) {
+            video.play().catch(() => { });
+        }
+    }
+
+    /**
+     * Close the window and go back to drawing on the page's schedule
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        if (this.pipWindow && !this.pipWindow.closed) {
+            this.pipWindow.removeEventListener('pagehide', this.close);
+            this.pipWindow.close();
+        }
+        if (this.pipVideo) {
+            this.pipVideo.removeEventListener('leavepictureinpicture', this.close);
+            this.pipVideo.removeEventListener('play', this.syncPlayback);
+            this.pipVideo.removeEventListener('pause', this.syncPlayback);
+            if (document.pictureInPictureElement === this.pipVideo) {
+                document.exitPictureInPicture().catch(() => { });
+            }
+            this.pipVideo.srcObject = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.processor.setFrameClock(null);
+        this.processor.onCanvasReplaced = null;
+
+        this.pipWindow = null;
+        this.pipVideo = null;
+        this.stream = null;
+        console.log('[Video Enhance] Enhanced Picture-in-Picture closed');
+        this.onClose();
+    }
+}
+
+// Make available globally
+window.EnhancedPip = EnhancedPip;
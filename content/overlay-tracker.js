@@ -0,0 +1,444 @@
+// Overlay Tracker - Keeps the overlay aligned with the video's picture
+// The overlay is inserted next to the video, so it shares the video's
+// ancestors (and their transforms), and is placed over the area the frame
+// is actually drawn in: the content box after object-fit and object-position,
+// which excludes letterbox bars. Layout is re-measured when the video or its
+// parent resizes, the window resizes, fullscreen changes, or (when the
+// overlay's containing block is outside a scrolled element) on scroll.
+// When the <video> element itself goes fullscreen it moves to the top layer,
+// above its siblings, so the overlay follows it there as a popover (or hides
+// where popovers are unsupported). Page styles are never modified.
+//
+// Stacking: the overlay's z-index puts it level with the video (it comes
+// later in the document, so it paints above it), leaving site controls and
+// captions that are stacked above the video above the overlay too. Controls
+// named by the site rule's selectors that still end up below it are cut out
+// of the overlay so they stay visible.
+
+class OverlayTracker {
+    /**
+     * @param {HTMLVideoElement} video - Video to follow
+     * @param {Function} onChange - Called with the new box when the displayed size changes
+     */
+    constructor(video, onChange) {
+        this.video = video;
+        this.onChange = onChange;
+        this.element = null;
+        this.box = null;
+        this.tracksScroll = false;
+        this.updateId = null;
+        this.controlSelectors = null;
+        this.controlObserver = null;
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+
+        this.resizeObserver = new ResizeObserver(this.scheduleUpdate);
+        this.resizeObserver.observe(video);
+        if (video.parentElement) this.resizeObserver.observe(video.parentElement);
+
+        // Intrinsic size changes (stream switches resolution) move letterbox bars
+        video.addEventListener('resize', this.scheduleUpdate);
+        window.addEventListener('resize', this.scheduleUpdate);
+        document.addEventListener('fullscreenchange', this.scheduleUpdate);
+        document.addEventListener('scroll', this.handleScroll, { capture: true, passive: true });
+    }
+
+    /**
+     * Insert an overlay element after the video and start positioning it
+     */
+    attach(element) {
+        this.element = element;
+        // A video slotted into a web component takes its overlay into the same slot
+        if (this.video.slot) element.slot = this.video.slot;
+        this.video.after(element);
+        this.update();
+    }
+
+    /**
+     * Re-measure on the next animation frame (coalesces bursts of events)
+     */
+    scheduleUpdate() {
+        if (this.updateId) return;
+
+        this.updateId = requestAnimationFrame(() => {
+            this.updateId = null;
+            this.update();
+        });
+    }
+
+    handleScroll() {
+        if (this.tracksScroll) this.scheduleUpdate();
+    }
+
+    /**
+     * Keep elements matching these selectors (site player controls) visible
+     * @param {string|null} selectors - CSS selector list from the site rule
+     */
+    setControlSelectors(selectors) {
+        this.controlSelectors = selectors || null;
+
+        if (this.controlObserver) this.controlObserver.disconnect();
+        this.controlObserver = null;
+
+        // Players build controls after the video and show/hide them with classes
+        const player = this.video.parentElement?.parentElement || this.video.parentElement;
+        if (this.controlSelectors && player) {
+            this.controlObserver = new MutationObserver((records) => {
+                if (records.some(record => !this.element?.contains(record.target))) this.scheduleUpdate();
+            });
+            this.controlObserver.observe(player, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['class', 'style', 'hidden']
+            });
+        }
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Elements matching the control selectors, outside the overlay
+     */
+    queryControls() {
+        if (!this.controlSelectors) return [];
+
+        try {
+            // Controls of a player inside a shadow root live in that root too
+            return Array.from(this.video.getRootNode().querySelectorAll(this.controlSelectors))
+                .filter(control => !this.element.contains(control) && !control.contains(this.video));
+        } catch (e) {
+            console.warn('[Video Enhance] Invalid control selector:', this.controlSelectors);
+            return [];
+        }
+    }
+
+    /**
+     * Place the overlay over the video's picture
+     */
+    update() {
+        const element = this.element;
+        const video = this.video;
+        if (!element || !element.isConnected) return;
+
+        const style = getComputedStyle(video);
+        if (style.display === 'none' || video.offsetWidth === 0 || video.offsetHeight === 0) {
+            element.style.display = 'none';
+            return;
+        }
+        element.style.display = '';
+
+        // Inside a shadow root, document.fullscreenElement is retargeted to the host
+        if (video.getRootNode().fullscreenElement === video) {
+            this.updateTopLayer(style);
+            return;
+        }
+        this.leaveTopLayer();
+
+        const box = OverlayTracker.getContentBox(video, style);
+        const fixed = style.position === 'fixed';
+        let left = (fixed ? 0 : video.offsetLeft) + box.x;
+        let top = (fixed ? 0 : video.offsetTop) + box.y;
+
+        element.style.position = fixed ? 'fixed' : 'absolute';
+        element.style.left = `${left}px`;
+        element.style.top = `${top}px`;
+        element.style.width = `${box.width}px`;
+        element.style.height = `${box.height}px`;
+
+        const root = OverlayTracker.getStackingRoot(element);
+        const zIndex = OverlayTracker.getLayer(video, root)?.z || 0;
+        element.style.zIndex = String(zIndex);
+
+        // The video's own transform, pivoting around the same point
+        if (style.transform !== 'none') {
+            const [originX, originY] = style.transformOrigin.split(' ').map(parseFloat);
+            element.style.transform = style.transform;
+            element.style.transformOrigin = `${originX - box.x}px ${originY - box.y}px`;
+        } else {
+            element.style.transform = '';
+            element.style.transformOrigin = '';
+        }
+
+        // offsetLeft/offsetTop ignore scrolled elements between the video and the
+        // overlay's containing block; measure and correct (only without a transform,
+        // where rects map back to layout positions)
+        this.tracksScroll = false;
+        if (style.transform === 'none') {
+            const videoRect = video.getBoundingClientRect();
+            const elementRect = element.getBoundingClientRect();
+            const scale = videoRect.width / video.offsetWidth || 1;
+            const driftX = (videoRect.left + box.x * scale - elementRect.left) / scale;
+            const driftY = (videoRect.top + box.y * scale - elementRect.top) / scale;
+
+            if (Math.abs(driftX) > 0.5 || Math.abs(driftY) > 0.5) {
+                left += driftX;
+                top += driftY;
+                element.style.left = `${left}px`;
+                element.style.top = `${top}px`;
+                this.tracksScroll = true;
+            }
+        }
+
+        const holes = style.transform === 'none' ? this.getControlHoles(root, zIndex) : [];
+        this.applyClip(box, holes);
+
+        this.setBox({ left, top, width: box.width, height: box.height });
+    }
+
+    /**
+     * Clip the overlay to the visible part of the picture (object-fit: cover
+     * overflows the element), minus holes for controls stacked below it
+     */
+    applyClip(box, holes) {
+        const top = Math.max(0, box.visibleTop - box.y);
+        const right = Math.max(0, box.x + box.width - box.visibleRight);
+        const bottom = Math.max(0, box.y + box.height - box.visibleBottom);
+        const left = Math.max(0, box.visibleLeft - box.x);
+
+        if (holes.length === 0) {
+            this.element.style.clipPath = top || right || bottom || left
+                ? `inset(${top}px ${right}px ${bottom}px ${left}px)`
+                : '';
+            return;
+        }
+
+        let path = `M${left} ${top}H${box.width - right}V${box.height - bottom}H${left}Z`;
+        for (const hole of holes) {
+            path += `M${hole.x} ${hole.y}h${hole.width}v${hole.height}h${-hole.width}Z`;
+        }
+        this.element.style.clipPath = `path(evenodd, "${path}")`;
+    }
+
+    /**
+     * Areas of visible controls that the overlay would paint over, in the
+     * overlay's own coordinates
+     */
+    getControlHoles(root, zIndex) {
+        const controls = this.queryControls();
+        if (controls.length === 0) return [];
+
+        const element = this.element;
+        const rect = element.getBoundingClientRect();
+        const scale = rect.width / element.offsetWidth || 1;
+        const holes = [];
+
+        for (const control of controls) {
+            if (control.checkVisibility && !control.checkVisibility({ opacityProperty: true, visibilityProperty: true })) continue;
+
+            // Already painted above the overlay?
+            const layer = OverlayTracker.getLayer(control, root);
+            if (layer) {
+                const follows = element.compareDocumentPosition(layer.node) & Node.DOCUMENT_POSITION_FOLLOWING;
+                if (follows ? layer.z >= zIndex : layer.z > zIndex) continue;
+            }
+
+            const area = control.getBoundingClientRect();
+            const x = Math.max(area.left, rect.left);
+            const y = Math.max(area.top, rect.top);
+            const width = Math.min(area.right, rect.right) - x;
+            const height = Math.min(area.bottom, rect.bottom) - y;
+            if (width <= 0 || height <= 0) continue;
+
+            holes.push({
+                x: (x - rect.left) / scale,
+                y: (y - rect.top) / scale,
+                width: width / scale,
+                height: height / scale
+            });
+        }
+        return holes;
+    }
+
+    /**
+     * Cover a fullscreen video from the top layer
+     */
+    updateTopLayer(style) {
+        const element = this.element;
+        if (typeof element.showPopover !== 'function') {
+            element.style.display = 'none';
+            return;
+        }
+
+        // Opened after the video went fullscreen, so it stacks above it
+        if (!element.matches(':popover-open')) {
+            element.popover = 'manual';
+            element.showPopover();
+        }
+
+        const rect = this.video.getBoundingClientRect();
+        const box = OverlayTracker.getContentBox(this.video, style);
+        const scale = rect.width / this.video.offsetWidth || 1;
+        const left = rect.left + box.x * scale;
+        const top = rect.top + box.y * scale;
+
+        element.style.position = 'fixed';
+        element.style.left = `${left}px`;
+        element.style.top = `${top}px`;
+        element.style.width = `${box.width * scale}px`;
+        element.style.height = `${box.height * scale}px`;
+        element.style.clipPath = '';
+        element.style.transform = '';
+        this.tracksScroll = false;
+
+        this.setBox({ left, top, width: box.width * scale, height: box.height * scale });
+    }
+
+    /**
+     * Return from the top layer after fullscreen ends
+     */
+    leaveTopLayer() {
+        const element = this.element;
+        if (!element.hasAttribute('popover')) return;
+
+        if (element.matches(':popover-open')) element.hidePopover();
+        element.removeAttribute('popover');
+    }
+
+    /**
+     * Record the overlay box, reporting size changes
+     */
+    setBox(box) {
+        const previous = this.box;
+        this.box = box;
+        if (!previous || previous.width !== box.width || previous.height !== box.height) {
+            this.onChange(box);
+        }
+    }
+
+    /**
+     * Where a video draws its frame, relative to its border box (CSS pixels,
+     * before transforms), following object-fit and object-position
+     * @returns {Object} { x, y, width, height } of the picture, plus the
+     *                   visible (content box) edges it is clipped to
+     */
+    static getContentBox(video, style) {
+        const px = (value) => parseFloat(value) || 0;
+        const contentLeft = px(style.borderLeftWidth) + px(style.paddingLeft);
+        const contentTop = px(style.borderTopWidth) + px(style.paddingTop);
+        const contentWidth = video.clientWidth - px(style.paddingLeft) - px(style.paddingRight);
+        const contentHeight = video.clientHeight - px(style.paddingTop) - px(style.paddingBottom);
+
+        const videoWidth = video.videoWidth || contentWidth;
+        const videoHeight = video.videoHeight || contentHeight;
+
+        // Videos default to object-fit: contain (the UA letterboxes them)
+        let scaleX = contentWidth / videoWidth;
+        let scaleY = contentHeight / videoHeight;
+        const contain = Math.min(scaleX, scaleY);
+        switch (style.objectFit) {
+            case 'fill':
+                break;
+            case 'cover':
+                scaleX = scaleY = Math.max(scaleX, scaleY);
+                break;
+            case 'none':
+                scaleX = scaleY = 1;
+                break;
+            case 'scale-down':
+                scaleX = scaleY = Math.min(1, contain);
+                break;
+            default:
+                scaleX = scaleY = contain;
+        }
+
+        const width = videoWidth * scaleX;
+        const height = videoHeight * scaleY;
+        const [positionX, positionY] = OverlayTracker.parseObjectPosition(style.objectPosition);
+
+        return {
+            x: contentLeft + positionX(contentWidth - width),
+            y: contentTop + positionY(contentHeight - height),
+            width,
+            height,
+            visibleLeft: contentLeft,
+            visibleTop: contentTop,
+            visibleRight: contentLeft + contentWidth,
+            visibleBottom: contentTop + contentHeight
+        };
+    }
+
+    /**
+     * Whether an element starts its own stacking context
+     */
+    static createsStackingContext(element) {
+        const style = getComputedStyle(element);
+        const parentDisplay = element.parentElement ? getComputedStyle(element.parentElement).display : '';
+
+        return style.position === 'fixed' || style.position === 'sticky' ||
+            (style.zIndex !== 'auto' && (style.position !== 'static' || /flex|grid/.test(parentDisplay))) ||
+            parseFloat(style.opacity) < 1 ||
+            style.transform !== 'none' || style.filter !== 'none' || style.perspective !== 'none' ||
+            style.clipPath !== 'none' || (style.mask && style.mask !== 'none') ||
+            style.mixBlendMode !== 'normal' || style.isolation === 'isolate' ||
+            /paint|layout|strict|content/.test(style.contain) ||
+            /transform|opacity|filter|z-index/.test(style.willChange);
+    }
+
+    /**
+     * Nearest ancestor that starts a stacking context
+     */
+    static getStackingRoot(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            if (OverlayTracker.createsStackingContext(node)) return node;
+        }
+        return document.documentElement;
+    }
+
+    /**
+     * How an element takes part in the stacking context of root: the outermost
+     * ancestor-or-self below root that starts a stacking context (or failing
+     * that, is positioned), and its z-index
+     * @returns {Object|null} { node, z }, or null for plain in-flow content
+     */
+    static getLayer(element, root) {
+        let context = null;
+        let positioned = null;
+
+        for (let node = element; node && node !== root; node = node.parentElement) {
+            if (OverlayTracker.createsStackingContext(node)) context = node;
+            else if (getComputedStyle(node).position !== 'static') positioned = node;
+        }
+
+        const node = context || positioned;
+        if (!node) return null;
+        return { node, z: parseInt(getComputedStyle(node).zIndex, 10) || 0 };
+    }
+
+    /**
+     * Turn a computed object-position into two functions mapping the free
+     * space on each axis to an offset
+     */
+    static parseObjectPosition(value) {
+        const parse = (token) => {
+            if (token?.endsWith('%')) {
+                const ratio = parseFloat(token) / 100;
+                return (free) => free * ratio;
+            }
+            if (token?.endsWith('px')) {
+                const offset = parseFloat(token);
+                return () => offset;
+            }
+            // calc() and anything unexpected: centre
+            return (free) => free / 2;
+        };
+
+        const tokens = (value || '').split(' ');
+        return tokens.length === 2 ? tokens.map(parse) : [parse(), parse()];
+    }
+
+    destroy() {
+        this.resizeObserver.disconnect();
+        if (this.controlObserver) this.controlObserver.disconnect();
+        this.video.removeEventListener('resize', this.scheduleUpdate);
+        window.removeEventListener('resize', this.scheduleUpdate);
+        document.removeEventListener('fullscreenchange', this.scheduleUpdate);
+        document.removeEventListener('scroll', this.handleScroll, { capture: true });
+        if (this.updateId) cancelAnimationFrame(this.updateId);
+
+        this.updateId = null;
+        this.element = null;
+    }
+}
+
+// Make available globally
+window.OverlayTracker = OverlayTracker;
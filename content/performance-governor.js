@@ -0,0 +1,213 @@
+// Performance Governor - Steps processing quality down when frames run over budget
+// Measures each frame with GPU timer queries where the backend exposes them,
+// otherwise with CPU timing plus the video's dropped-frame count, and moves
+// between quality levels with a cooldown so it doesn't oscillate
+
+class PerformanceGovernor {
+    /**
+     * Quality levels, best first; each level keeps the restrictions of the one before
+     * - reducedTaps: smoothing and denoising sample 4 neighbours instead of 8, debanding runs one round
+     * - upscale: false renders at video resolution even if display resolution is on
+     * - scale: fraction of the video resolution the passes run at
+     * - maxPasses: only the first N active passes run
+     */
+    static LEVELS = [
+        { name: 'Full quality' },
+        { name: 'Reduced smoothing', reducedTaps: true },
+        { name: 'Video resolution', reducedTaps: true, upscale: false },
+        { name: 'Half resolution', reducedTaps: true, upscale: false, scale: 0.5 },
+        { name: 'Minimal', reducedTaps: true, upscale: false, scale: 0.5, maxPasses: 1 }
+    ];
+
+    // Processing time allowed per frame, per video
+    static BUDGET_MS = 8;
+
+    // Share of frames dropped by the player that counts as overloaded
+    static DROP_RATIO = 0.05;
+
+    // How often measurements are judged
+    static EVALUATE_MS = 1000;
+
+    // Wait after a step down before judging again
+    static COOLDOWN_MS = 2000;
+
+    // Headroom must last this long before stepping back up
+    static RECOVER_MS = 5000;
+
+    // Frame cost samples kept for the average
+    static WINDOW = 30;
+
+    /**
+     * @param {Object|null} timer - Backend GPU timer (see content/render-backends.js), or null for CPU timing
+     * @param {HTMLVideoElement} video - Video whose dropped frames to watch
+     * @param {Function} onChange - Called with the new level settings
+     */
+    constructor(timer, video, onChange) {
+        this.timer = timer;
+        this.video = video;
+        this.onChange = onChange;
+        this.level = 0;
+        this.floor = 0;
+        this.samples = [];
+        this.frameStart = 0;
+        this.lastEvaluation = performance.now();
+        this.lastChange = 0;
+        this.headroomSince = null;
+        this.lastPlayback = this.getPlaybackCounts();
+    }
+
+    /**
+     * Settings for the current level
+     */
+    getSettings() {
+        return PerformanceGovernor.LEVELS[Math.max(this.level, this.floor)];
+    }
+
+    /**
+     * Keep quality at or below a level regardless of measurements
+     * Used to throttle videos that aren't the focus of the page
+     * @param {number} floor - Minimum level index (0 = no restriction)
+     */
+    setFloor(floor) {
+        const previous = this.getSettings();
+        this.floor = Math.min(Math.max(0, floor), PerformanceGovernor.LEVELS.length - 1);
+        if (this.getSettings() !== previous) this.onChange?.(this.getSettings());
+    }
+
+    /**
+     * Call before rendering a frame
+     */
+    beginFrame() {
+        this.frameStart = performance.now();
+
+        if (this.timer) {
+            this.timer.collect().forEach(ms => this.addSample(ms));
+            this.timer.begin();
+        }
+    }
+
+    /**
+     * Call after rendering a frame
+     */
+    endFrame() {
+        if (this.timer) {
+            this.timer.end();
+        } else {
+            this.addSample(performance.now() - this.frameStart);
+        }
+
+        const now = performance.now();
+        if (now - this.lastEvaluation >= PerformanceGovernor.EVALUATE_MS) {
+            this.evaluate(now);
+        }
+    }
+
+    /**
+     * Record one frame's cost in milliseconds
+     */
+    addSample(ms) {
+        this.samples.push(ms);
+        if (this.samples.length > PerformanceGovernor.WINDOW) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Average frame cost over the sample window, or null before any samples
+     */
+    getAverageCost() {
+        if (this.samples.length === 0) return null;
+        return this.samples.reduce((sum, ms) => sum + ms, 0) / this.samples.length;
+    }
+
+    /**
+     * Dropped and total frame counts reported by the player
+     */
+    getPlaybackCounts() {
+        const quality = this.video.getVideoPlaybackQuality?.();
+        return {
+            dropped: quality?.droppedVideoFrames || 0,
+            total: quality?.totalVideoFrames || 0
+        };
+    }
+
+    /**
+     * Step down when over budget, back up once headroom has lasted
+     */
+    evaluate(now) {
+        this.lastEvaluation = now;
+
+        const playback = this.getPlaybackCounts();
+        const dropped = playback.dropped - this.lastPlayback.dropped;
+        const total = playback.total - this.lastPlayback.total;
+        this.lastPlayback = playback;
+
+        const cost = this.getAverageCost();
+        if (cost === null) return;
+
+        const budget = PerformanceGovernor.BUDGET_MS;
+        const dropping = total > 0 && dropped / total > PerformanceGovernor.DROP_RATIO;
+        const overloaded = cost > budget || dropping;
+        const maxLevel = PerformanceGovernor.LEVELS.length - 1;
+
+        if (overloaded) {
+            this.headroomSince = null;
+            if (this.level < maxLevel && now - this.lastChange >= PerformanceGovernor.COOLDOWN_MS) {
+                this.setLevel(this.level + 1, now, dropping ? 'dropped frames' : `${cost.toFixed(1)} ms per frame`);
+            }
+            return;
+        }
+
+        // Stepping up costs more, so require clear headroom
+        if (cost < budget * 0.5 && this.level > 0) {
+            this.headroomSince ??= now;
+            if (now - this.headroomSince >= PerformanceGovernor.RECOVER_MS) {
+                this.headroomSince = null;
+                this.setLevel(this.level - 1, now, 'headroom recovered');
+            }
+        } else {
+            this.headroomSince = null;
+        }
+    }
+
+    /**
+     * Move to a level and notify the processor
+     */
+    setLevel(level, now, reason) {
+        const previous = this.getSettings();
+        this.level = level;
+        this.lastChange = now;
+
+        // Costs measured at the old level no longer apply
+        this.samples = [];
+
+        console.debug('[Video Enhance] Performance level:', PerformanceGovernor.LEVELS[level].name, '-', reason);
+        if (this.getSettings() !== previous) this.onChange?.(this.getSettings());
+    }
+
+    /**
+     * Current level and cost, for the popup
+     */
+    getStatus() {
+        const level = Math.max(this.level, this.floor);
+        const cost = this.getAverageCost();
+        return {
+            level,
+            name: PerformanceGovernor.LEVELS[level].name,
+            throttled: this.floor > this.level,
+            costMs: cost === null ? null : Math.round(cost * 10) / 10,
+            timing: this.timer?.kind || 'cpu'
+        };
+    }
+
+    /**
+     * Release the timer
+     */
+    destroy() {
+        if (this.timer) this.timer.destroy();
+        this.timer = null;
+    }
+}
+
+// Make available globally
+window.PerformanceGovernor = PerformanceGovernor;
@@ -2,6 +2,27 @@
 // Returns quality score (0-100) and recommended preset
 
 const VideoQualityEstimator = {
+    // Minimum time between pixel samples of the same video
+    SAMPLE_INTERVAL_MS: 2000,
+
+    // Longest side of the downscaled whole-frame sample
+    SAMPLE_SIZE: 320,
+
+    // Native-resolution centre crop used for block-grid measurements
+    CROP_SIZE: 128,
+
+    // Per-video artifact measurements (rate limiting and tainted-frame memory)
+    artifactCache: new WeakMap(),
+
+    // Shared 2D context used for frame readback
+    sampleContext: null,
+
+    // Classifier confidence required before recommending the Anime preset
+    ANIMATION_CONFIDENCE: 0.3,
+
+    // Band edges needed before their most common step counts as the quantization step
+    MIN_QUANT_STEPS: 8,
+
     /**
      * Estimate the quality of a video element
      * @param {HTMLVideoElement} video - The video element to analyze
@@ -15,6 +36,8 @@ const VideoQualityEstimator = {
         return {
             score,
             preset,
+            reason: this.explainRecommendation(preset, score, metrics),
+            content: metrics.content,
             metrics,
             description: this.getDescription(score)
         };
@@ -41,7 +64,19 @@ const VideoQualityEstimator = {
             // Derived metrics
             effectiveDPI: 0,
             isUpscaled: false,
-            upscaleFactor: 1
+            upscaleFactor: 1,
+
+            // Pixel-based artifact measures (null until a frame could be read)
+            // pixelMetrics: 'ok' | 'tainted' (cross-origin frame) | 'unavailable'
+            pixelMetrics: 'unavailable',
+            blockiness: null,
+            banding: null,
+            quantStep: null,
+            noise: null,
+            flatRatio: null,
+
+            // Content classification from the same sample (see classifyContent)
+            content: null
         };
 
         // Get playback quality if available
@@ -61,9 +96,295 @@ const VideoQualityEstimator = {
             metrics.upscaleFactor = 1 / metrics.effectiveDPI;
         }
 
+        // Look at the picture itself
+        const artifacts = this.measureArtifacts(video);
+        metrics.pixelMetrics = artifacts.status;
+        metrics.blockiness = artifacts.blockiness;
+        metrics.banding = artifacts.banding;
+        metrics.quantStep = artifacts.quantStep;
+        metrics.noise = artifacts.noise;
+        metrics.flatRatio = artifacts.flatRatio;
+        metrics.content = artifacts.content;
+
         return metrics;
     },
 
+    /**
+     * Sample the current frame and measure compression artifacts
+     * Rate-limited per video: between samples the cached result is returned.
+     * Cross-origin videos without CORS taint the canvas; they are remembered
+     * and not sampled again until the source changes.
+     * @param {HTMLVideoElement} video - The video element to sample
+     * @returns {Object} { status, blockiness, banding, quantStep, noise, flatRatio, content }
+     *   (measures 0-1; quantStep in 8-bit levels, null if no bands were found)
+     */
+    measureArtifacts(video) {
+        const now = performance.now();
+        const src = video.currentSrc || '';
+        const cached = this.artifactCache.get(video);
+
+        if (cached && cached.src === src) {
+            if (cached.status === 'tainted') return cached;
+            if (now - cached.time < this.SAMPLE_INTERVAL_MS) return cached;
+        }
+
+        const result = {
+            src,
+            time: now,
+            status: 'unavailable',
+            blockiness: null,
+            banding: null,
+            quantStep: null,
+            noise: null,
+            flatRatio: null,
+            content: null
+        };
+
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+        if (!width || !height || video.readyState < video.HAVE_CURRENT_DATA) {
+            return result;
+        }
+
+        try {
+            // Whole frame, downscaled, for banding and noise
+            const scale = Math.min(1, this.SAMPLE_SIZE / Math.max(width, height));
+            const frameWidth = Math.max(1, Math.round(width * scale));
+            const frameHeight = Math.max(1, Math.round(height * scale));
+            const frame = this.readFrame(video, 0, 0, width, height, frameWidth, frameHeight);
+
+            // Centre crop at 1:1, aligned to the 8x8 coding grid
+            const cropWidth = Math.min(this.CROP_SIZE, width);
+            const cropHeight = Math.min(this.CROP_SIZE, height);
+            const cropX = Math.floor((width - cropWidth) / 16) * 8;
+            const cropY = Math.floor((height - cropHeight) / 16) * 8;
+            const crop = this.readFrame(video, cropX, cropY, cropWidth, cropHeight, cropWidth, cropHeight);
+
+            const flat = this.measureFlatness(frame.luma, frameWidth, frameHeight);
+            result.blockiness = this.measureBlockiness(crop.luma, cropWidth, cropHeight);
+            const banding = this.measureBanding(frame.luma, frameWidth, frameHeight);
+            result.banding = banding.index;
+            result.quantStep = banding.step;
+            result.noise = flat.noise;
+            result.flatRatio = flat.flatRatio;
+            result.content = this.classifyContent(frame, frameWidth, frameHeight, flat.flatRatio);
+            result.status = 'ok';
+        } catch (e) {
+            if (e.name === 'SecurityError') {
+                result.status = 'tainted';
+            } else {
+                console.debug('[Video Enhance] Frame sampling failed:', e.message);
+            }
+        }
+
+        this.artifactCache.set(video, result);
+        return result;
+    },
+
+    /**
+     * Draw a region of the current frame and return its RGBA pixels and 8-bit luma
+     * Throws SecurityError for tainted (cross-origin) frames
+     */
+    readFrame(video, sx, sy, sw, sh, width, height) {
+        if (!this.sampleContext) {
+            const canvas = typeof OffscreenCanvas === 'function'
+                ? new OffscreenCanvas(width, height)
+                : document.createElement('canvas');
+            this.sampleContext = canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        const ctx = this.sampleContext;
+        ctx.canvas.width = width;
+        ctx.canvas.height = height;
+        ctx.drawImage(video, sx, sy, sw, sh, 0, 0, width, height);
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        const luma = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+            luma[i] = Math.round(rgba[p] * 0.299 + rgba[p + 1] * 0.587 + rgba[p + 2] * 0.114);
+        }
+        return { rgba, luma };
+    },
+
+    /**
+     * Classify flat-colour/line-art (animation) versus live-action content
+     * Animation has few distinct colours, large uniform regions, and edges
+     * that are mostly hard lines rather than soft gradients.
+     * @param {Object} frame - { rgba, luma } of the downscaled frame
+     * @returns {Object} { type: 'animation' | 'live-action', confidence 0-1, features }
+     */
+    classifyContent(frame, width, height, flatRatio) {
+        const pixelCount = width * height;
+
+        // Colour histogram sparsity: bins (4 bits per channel) covering 90% of pixels
+        const histogram = new Uint32Array(4096);
+        for (let p = 0; p < frame.rgba.length; p += 4) {
+            histogram[((frame.rgba[p] >> 4) << 8) | ((frame.rgba[p + 1] >> 4) << 4) | (frame.rgba[p + 2] >> 4)]++;
+        }
+        const counts = Array.from(histogram).filter(count => count > 0).sort((a, b) => b - a);
+        let covered = 0, dominantColors = 0;
+        while (covered < pixelCount * 0.9 && dominantColors < counts.length) {
+            covered += counts[dominantColors++];
+        }
+        const colorSparsity = 1 - Math.min(1, dominantColors / 256);
+
+        // Edge profile: share of strong edges among all non-trivial gradients
+        let strongEdges = 0, softEdges = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gradient = Math.abs(frame.luma[i + 1] - frame.luma[i - 1]) +
+                    Math.abs(frame.luma[i + width] - frame.luma[i - width]);
+                if (gradient > 48) strongEdges++;
+                else if (gradient > 8) softEdges++;
+            }
+        }
+        const edgeDensity = strongEdges / pixelCount;
+        const edgeHardness = strongEdges + softEdges > 0 ? strongEdges / (strongEdges + softEdges) : 0;
+
+        const animationScore = colorSparsity * 0.4 + Math.min(1, flatRatio * 1.5) * 0.35 + edgeHardness * 0.25;
+
+        return {
+            type: animationScore >= 0.5 ? 'animation' : 'live-action',
+            confidence: Math.min(1, Math.abs(animationScore - 0.5) * 2),
+            features: {
+                animationScore,
+                dominantColors,
+                colorSparsity,
+                edgeDensity,
+                edgeHardness,
+                flatRatio
+            }
+        };
+    },
+
+    /**
+     * 8x8 blockiness: how much larger pixel differences are across block
+     * boundaries than inside blocks (0 = none, 1 = severe)
+     * Strong differences are ignored so real edges don't dominate.
+     */
+    measureBlockiness(luma, width, height) {
+        let boundarySum = 0, boundaryCount = 0;
+        let innerSum = 0, innerCount = 0;
+
+        const add = (diff, isBoundary) => {
+            if (diff > 24) return;
+            if (isBoundary) {
+                boundarySum += diff;
+                boundaryCount++;
+            } else {
+                innerSum += diff;
+                innerCount++;
+            }
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 1; x < width; x++) {
+                const i = y * width + x;
+                add(Math.abs(luma[i] - luma[i - 1]), x % 8 === 0);
+                if (y > 0) add(Math.abs(luma[i] - luma[i - width]), y % 8 === 0);
+            }
+        }
+
+        if (boundaryCount === 0 || innerCount === 0) return 0;
+
+        // The constant keeps flat areas (both means near zero) from reading as blocky
+        const ratio = (boundarySum / boundaryCount) / (innerSum / innerCount + 0.5);
+        return Math.max(0, Math.min(1, (ratio - 1) / 2));
+    },
+
+    /**
+     * Gradient-banding index: plateaus of identical luma separated by small
+     * (1-3 level) steps, weighted by how much of the frame they cover
+     * The most common step size is the quantization step the debanding
+     * dither is scaled to.
+     * @returns {Object} { index 0-1, step in 8-bit levels or null }
+     */
+    measureBanding(luma, width, height) {
+        const minRun = 4;
+        let plateauPixels = 0;
+        let steps = 0;
+        const stepCounts = [0, 0, 0, 0];
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let runStart = 0;
+            let previousRun = null;
+
+            for (let x = 1; x <= width; x++) {
+                if (x < width && luma[row + x] === luma[row + runStart]) continue;
+
+                const run = { value: luma[row + runStart], length: x - runStart };
+                if (run.length >= minRun) {
+                    plateauPixels += run.length;
+                    if (previousRun && previousRun.end === runStart) {
+                        const step = Math.abs(run.value - previousRun.value);
+                        if (step >= 1 && step <= 3) {
+                            steps++;
+                            stepCounts[step]++;
+                        }
+                    }
+                    previousRun = { value: run.value, end: x };
+                }
+                runStart = x;
+            }
+        }
+
+        if (plateauPixels === 0) return { index: 0, step: null };
+
+        // Short plateaus between steps and wide coverage both mean visible bands
+        const density = Math.min(1, steps * 16 / plateauPixels);
+        const coverage = Math.min(1, (plateauPixels / (width * height)) * 2);
+
+        // A handful of steps says little about the step size
+        const step = steps >= this.MIN_QUANT_STEPS ? stepCounts.indexOf(Math.max(...stepCounts)) : null;
+        return { index: density * coverage, step };
+    },
+
+    /**
+     * Flat-area ratio and noise level from 4x4 cells
+     * Noise is the mean deviation inside smooth (not flat, not textured) cells
+     */
+    measureFlatness(luma, width, height) {
+        let cells = 0, flatCells = 0;
+        let smoothCells = 0, deviationSum = 0;
+
+        for (let cy = 0; cy + 4 <= height; cy += 4) {
+            for (let cx = 0; cx + 4 <= width; cx += 4) {
+                let min = 255, max = 0, sum = 0;
+                for (let y = cy; y < cy + 4; y++) {
+                    for (let x = cx; x < cx + 4; x++) {
+                        const value = luma[y * width + x];
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                        sum += value;
+                    }
+                }
+
+                cells++;
+                const range = max - min;
+                if (range <= 2) {
+                    flatCells++;
+                } else if (range <= 24) {
+                    const mean = sum / 16;
+                    let deviation = 0;
+                    for (let y = cy; y < cy + 4; y++) {
+                        for (let x = cx; x < cx + 4; x++) {
+                            deviation += Math.abs(luma[y * width + x] - mean);
+                        }
+                    }
+                    deviationSum += deviation / 16;
+                    smoothCells++;
+                }
+            }
+        }
+
+        return {
+            flatRatio: cells > 0 ? flatCells / cells : 0,
+            noise: smoothCells > 0 ? Math.min(1, deviationSum / smoothCells / 4) : 0
+        };
+    },
+
     /**
      * Calculate overall quality score (0-100)
      */
@@ -89,6 +410,13 @@ const VideoQualityEstimator = {
             score -= Math.min(20, metrics.droppedFrameRatio * 100);
         }
 
+        // Penalize visible artifacts (catches bitrate-starved high-resolution streams)
+        if (metrics.pixelMetrics === 'ok') {
+            score -= metrics.blockiness * 30;
+            score -= metrics.banding * 15;
+            score -= metrics.noise * 10;
+        }
+
         return Math.max(0, Math.min(100, Math.round(score)));
     },
 
@@ -96,6 +424,12 @@ const VideoQualityEstimator = {
      * Recommend a preset based on score and metrics
      */
     recommendPreset(score, metrics) {
+        // Flat-colour animation - banding is the main problem unless the source is pristine
+        const content = metrics?.content;
+        if (content?.type === 'animation' && content.confidence >= this.ANIMATION_CONFIDENCE && score < 90) {
+            return 'anime';
+        }
+
         // Very high quality - minimal enhancement
         if (score >= 80) {
             return 'clean';
@@ -110,6 +444,39 @@ const VideoQualityEstimator = {
         return 'low-bitrate';
     },
 
+    /**
+     * Explain in a short phrase why a preset was recommended
+     */
+    explainRecommendation(preset, score, metrics) {
+        const details = [];
+
+        if (metrics.videoHeight > 0) {
+            details.push(`${metrics.videoHeight}p`);
+        }
+        if (metrics.isUpscaled) {
+            details.push(`upscaled ${metrics.upscaleFactor.toFixed(1)}×`);
+        }
+        if (metrics.droppedFrameRatio > 0.05) {
+            details.push(`${Math.round(metrics.droppedFrameRatio * 100)}% frames dropped`);
+        }
+        if (metrics.blockiness > 0.3) {
+            details.push('blocky');
+        }
+        if (metrics.banding > 0.3) {
+            details.push('banding');
+        }
+        if (metrics.noise > 0.4) {
+            details.push('noisy');
+        }
+
+        const verdicts = {
+            'clean': 'looks clean',
+            'anime': `looks like animation (${Math.round((metrics.content?.confidence || 0) * 100)}% confidence)`
+        };
+        const verdict = verdicts[preset] || 'needs repair';
+        return `Score ${score} ${verdict}${details.length ? ` (${details.join(', ')})` : ''}`;
+    },
+
     /**
      * Get human-readable description of quality
      */
@@ -118,29 +485,6 @@ const VideoQualityEstimator = {
         if (score >= 60) return 'Acceptable quality';
         if (score >= 40) return 'Low quality - enhancement recommended';
         return 'Poor quality - enhancement strongly recommended';
-    },
-
-    /**
-     * Check if video is likely DRM protected
-     * Note: This is a heuristic and not 100% reliable
-     */
-    isLikelyDRM(video) {
-        // Check for MediaKeys (EME)
-        if (video.mediaKeys) {
-            return true;
-        }
-
-        // Check for known DRM-using domains
-        const drmDomains = ['netflix.com', 'primevideo.com', 'disneyplus.com', 'hbomax.com', 'hulu.com'];
-        const hostname = window.location.hostname;
-
-        for (const domain of drmDomains) {
-            if (hostname.includes(domain)) {
-                return true;
-            }
-        }
-
-        return false;
     }
 };
 
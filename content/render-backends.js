@@ -0,0 +1,396 @@
+// Render Backends - WebGPU, WebGL2, WebGL1 and software behind one interface
+// VideoProcessor picks the first backend in the chain that is available, supports
+// the passes it needs and initialises. Backends missing some of the passes are
+// kept as a last resort. Each backend exposes:
+//   id, canvas            - Backend name and the canvas it draws to
+//   pipeline              - ShaderPipeline API (load, setUpscaler, resize, render, ...)
+//   supportsPasses(names) - Whether every pass can run on this backend
+//   uploadFrame(video)    - Make the current frame available; returns the render source
+//   maxPixels             - Largest frame it processes (optional)
+//   createTimer()         - Frame timer for the performance governor, or null
+//   watchContext(onLost, onRestored) - Report GPU context loss (and restoration, if possible)
+//   restore()             - Rebuild GPU resources in a restored context (optional)
+//   destroy()
+// A canvas keeps the first context type it hands out, so every attempt gets a fresh canvas.
+
+const CONTEXT_ATTRIBUTES = {
+    alpha: false,
+    antialias: false,
+    depth: false,
+    preserveDrawingBuffer: false,
+    premultipliedAlpha: false
+};
+
+/**
+ * GPU frame timer built on EXT_disjoint_timer_query (WebGL1) or
+ * EXT_disjoint_timer_query_webgl2 (WebGL2); results arrive a few frames late
+ */
+class GLTimerQuery {
+    // Queries allowed in flight before timing pauses
+    static MAX_PENDING = 4;
+
+    constructor(gl, ext, webgl2) {
+        this.kind = 'gpu';
+        this.gl = gl;
+        this.ext = ext;
+        this.pending = [];
+        this.active = null;
+
+        // The two extensions expose the same queries through different entry points
+        this.api = webgl2 ? {
+            create: () => gl.createQuery(),
+            begin: query => gl.beginQuery(ext.TIME_ELAPSED_EXT, query),
+            end: () => gl.endQuery(ext.TIME_ELAPSED_EXT),
+            isAvailable: query => gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE),
+            getResult: query => gl.getQueryParameter(query, gl.QUERY_RESULT),
+            remove: query => gl.deleteQuery(query)
+        } : {
+            create: () => ext.createQueryEXT(),
+            begin: query => ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query),
+            end: () => ext.endQueryEXT(ext.TIME_ELAPSED_EXT),
+            isAvailable: query => ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT),
+            getResult: query => ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT),
+            remove: query => ext.deleteQueryEXT(query)
+        };
+    }
+
+    /**
+     * Start timing a frame, unless too many results are outstanding
+     */
+    begin() {
+        if (this.pending.length >= GLTimerQuery.MAX_PENDING) return;
+
+        this.active = this.api.create();
+        this.api.begin(this.active);
+    }
+
+    /**
+     * Stop timing the current frame
+     */
+    end() {
+        if (!this.active) return;
+
+        this.api.end();
+        this.pending.push(this.active);
+        this.active = null;
+    }
+
+    /**
+     * Collect finished timings, oldest first
+     * @returns {number[]} Frame times in milliseconds
+     */
+    collect() {
+        const results = [];
+        if (this.pending.length === 0) return results;
+
+        // A disjoint event (e.g. GPU clock change) invalidates results in flight
+        const disjoint = this.gl.getParameter(this.ext.GPU_DISJOINT_EXT);
+
+        while (this.pending.length > 0) {
+            const query = this.pending[0];
+            if (!this.api.isAvailable(query)) break;
+
+            if (!disjoint) results.push(this.api.getResult(query) / 1e6);
+            this.api.remove(query);
+            this.pending.shift();
+        }
+        return results;
+    }
+
+    /**
+     * Release outstanding queries
+     */
+    destroy() {
+        if (this.active) {
+            this.api.end();
+            this.api.remove(this.active);
+        }
+        this.pending.forEach(query => this.api.remove(query));
+        this.pending = [];
+        this.active = null;
+    }
+}
+
+/**
+ * WebGL1 or WebGL2 backend; runs every GLSL pass
+ */
+class WebGLBackend {
+    /**
+     * @param {string} id - 'webgl2' or 'webgl'
+     */
+    constructor(id) {
+        this.id = id;
+        this.canvas = null;
+        this.gl = null;
+        this.pipeline = null;
+        this.texture = null;
+    }
+
+    isAvailable() {
+        return this.id === 'webgl2' ? typeof WebGL2RenderingContext !== 'undefined' : true;
+    }
+
+    supportsPasses() {
+        return true;
+    }
+
+    async init() {
+        this.canvas = document.createElement('canvas');
+        this.gl = this.canvas.getContext(this.id, CONTEXT_ATTRIBUTES);
+
+        if (!this.gl) {
+            throw new Error(`${this.id} not supported`);
+        }
+
+        this.pipeline = new window.ShaderPipeline(this.gl);
+        this.createTexture();
+    }
+
+    /**
+     * Create texture for video frames
+     */
+    createTexture() {
+        const gl = this.gl;
+
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+
+        // Set texture parameters
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        // Upload frames bottom-up so they match framebuffer texture orientation
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    }
+
+    /**
+     * Upload the current video frame to the frame texture
+     */
+    uploadFrame(video) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+        return this.texture;
+    }
+
+    createTimer() {
+        const webgl2 = this.id === 'webgl2';
+        const ext = this.gl.getExtension(webgl2 ? 'EXT_disjoint_timer_query_webgl2' : 'EXT_disjoint_timer_query');
+        return ext ? new GLTimerQuery(this.gl, ext, webgl2) : null;
+    }
+
+    watchContext(onLost, onRestored) {
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            // Without preventDefault the browser never restores the context
+            e.preventDefault();
+            onLost();
+        });
+        this.canvas.addEventListener('webglcontextrestored', onRestored);
+    }
+
+    /**
+     * Recreate programs, buffers and the frame texture after a context restore
+     * Objects from the lost context are already gone, so nothing is deleted
+     */
+    restore() {
+        this.pipeline = new window.ShaderPipeline(this.gl);
+        this.createTexture();
+    }
+
+    destroy() {
+        if (this.pipeline) this.pipeline.destroy();
+        if (this.gl) this.gl.deleteTexture(this.texture);
+
+        this.pipeline = null;
+        this.texture = null;
+        this.gl = null;
+    }
+}
+
+/**
+ * WebGPU backend; runs passes that have a WGSL port
+ */
+class WebGPUBackend {
+    constructor() {
+        this.id = 'webgpu';
+        this.canvas = null;
+        this.device = null;
+        this.pipeline = null;
+    }
+
+    isAvailable() {
+        return Boolean(navigator.gpu) && typeof window.WebGPUPipeline === 'function';
+    }
+
+    supportsPasses(names) {
+        return names.every(name => Boolean(window.ShaderPipeline.PASSES[name]?.wgsl));
+    }
+
+    async init() {
+        const adapter = await navigator.gpu.requestAdapter();
+        if (!adapter) {
+            throw new Error('No WebGPU adapter');
+        }
+        this.device = await adapter.requestDevice();
+
+        this.canvas = document.createElement('canvas');
+        const context = this.canvas.getContext('webgpu');
+        if (!context) {
+            throw new Error('webgpu not supported');
+        }
+
+        const format = navigator.gpu.getPreferredCanvasFormat();
+        context.configure({ device: this.device, format, alphaMode: 'opaque' });
+        this.pipeline = new window.WebGPUPipeline(this.device, context, format);
+    }
+
+    uploadFrame(video) {
+        return this.pipeline.importFrame(video);
+    }
+
+    // Timestamp queries are an optional device feature; the governor falls back to CPU timing
+    createTimer() {
+        return null;
+    }
+
+    // A lost device can't come back; the processor starts a new backend instead
+    watchContext(onLost) {
+        this.device.lost.then(info => {
+            if (info.reason !== 'destroyed') onLost();
+        });
+    }
+
+    destroy() {
+        if (this.pipeline) {
+            this.pipeline.context.unconfigure();
+            this.pipeline.destroy();
+        }
+        if (this.device) this.device.destroy();
+
+        this.pipeline = null;
+        this.device = null;
+    }
+}
+
+/**
+ * Software backend; runs the CPU reference chain at reduced resolution
+ */
+class CpuBackend {
+    constructor() {
+        this.id = 'cpu';
+        this.canvas = null;
+        this.pipeline = null;
+        this.maxPixels = window.CpuPipeline.MAX_PIXELS;
+    }
+
+    isAvailable() {
+        return typeof OffscreenCanvas === 'function' && typeof createImageBitmap === 'function';
+    }
+
+    supportsPasses(names) {
+        return names.every(name => name in window.CpuReference.PASSES);
+    }
+
+    async init() {
+        this.canvas = document.createElement('canvas');
+        const context = this.canvas.getContext('2d');
+        if (!context) {
+            throw new Error('2d canvas not supported');
+        }
+        this.pipeline = new window.CpuPipeline(context);
+    }
+
+    // Frames are read from the video element itself
+    uploadFrame(video) {
+        return video;
+    }
+
+    // Reports the worker's processing time per frame
+    createTimer() {
+        const pipeline = this.pipeline;
+        return {
+            kind: 'worker',
+            begin() { },
+            end() { },
+            collect: () => pipeline.takeTimings(),
+            destroy() { }
+        };
+    }
+
+    // The browser restores 2D canvases by itself
+    watchContext() { }
+
+    destroy() {
+        if (this.pipeline) this.pipeline.destroy();
+        this.pipeline = null;
+    }
+}
+
+const RenderBackends = {
+    // Preferred first; 'auto' walks the whole chain
+    CHAIN: ['webgpu', 'webgl2', 'webgl', 'cpu'],
+
+    LABELS: {
+        webgpu: 'WebGPU',
+        webgl2: 'WebGL2',
+        webgl: 'WebGL',
+        cpu: 'Software'
+    },
+
+    /**
+     * Instantiate a backend by id (not yet initialised)
+     */
+    createBackend(id) {
+        if (id === 'webgpu') return new WebGPUBackend();
+        if (id === 'cpu') return new CpuBackend();
+        return new WebGLBackend(id);
+    },
+
+    /**
+     * Backends to try, in order: those supporting every pass first, then the rest
+     * A forced backend starts the chain at that entry, so the ones after it remain as fallbacks
+     */
+    getCandidates(preference, passes) {
+        const start = this.CHAIN.indexOf(preference);
+        const chain = start >= 0 ? this.CHAIN.slice(start) : this.CHAIN;
+        const available = chain.map(id => this.createBackend(id)).filter(backend => backend.isAvailable());
+
+        return [
+            ...available.filter(backend => backend.supportsPasses(passes)),
+            ...available.filter(backend => !backend.supportsPasses(passes))
+        ];
+    },
+
+    /**
+     * Id of the backend create() would try first
+     */
+    pick({ preference = 'auto', passes = [] } = {}) {
+        return this.getCandidates(preference, passes)[0]?.id || null;
+    },
+
+    /**
+     * Create the first working backend
+     * @param {Object} options - { preference: 'auto' or a CHAIN id, passes: pass names that should be supported }
+     * @returns {Promise<Object>} Initialised backend
+     */
+    async create({ preference = 'auto', passes = [] } = {}) {
+        for (const backend of this.getCandidates(preference, passes)) {
+            const id = backend.id;
+            try {
+                await backend.init();
+                return backend;
+            } catch (e) {
+                console.warn(`[Video Enhance] ${this.LABELS[id]} backend unavailable:`, e.message);
+                backend.destroy();
+            }
+        }
+
+        throw new Error('No rendering backend available');
+    }
+};
+
+// Make available globally
+window.RenderBackends = RenderBackends;
@@ -0,0 +1,654 @@
+// Shader Pipeline - Multi-pass WebGL render graph
+// Each pass is loaded from its own shaders/*.glsl file, rendered into a
+// framebuffer texture and chained to the next pass (ping-pong FBOs).
+// When the output is larger than the video, an upscale pass splits the chain:
+// passes before it run at video resolution, passes after it at output resolution.
+// Runs on WebGL1 and WebGL2; content/webgpu-pipeline.js reuses the same pass
+// registry and planning on WebGPU.
+
+class ShaderPipeline {
+    /**
+     * Registry of available passes
+     * `isActive` decides whether a pass does any work for the given preset.
+     * `stage: 'output'` passes run after upscaling; the rest run before it.
+     * `stage: 'input'` passes correct the frame itself and always run first,
+     * whatever the preset's order.
+     * `wgsl` is the WebGPU port; passes without one need a WebGL backend.
+     * `temporal` passes also read their own output for the previous frame
+     * through `u_history` (see render).
+     */
+    static PASSES = {
+        range: {
+            source: 'shaders/range.glsl',
+            wgsl: 'shaders/wgsl/range.wgsl',
+            stage: 'input',
+            isActive: (preset) => Boolean(preset.expandRange)
+        },
+        denoise: {
+            source: 'shaders/denoise.glsl',
+            wgsl: 'shaders/wgsl/denoise.wgsl',
+            temporal: true,
+            isActive: (preset) => preset.denoising > 0
+        },
+        deblock: {
+            source: 'shaders/deblock.glsl',
+            wgsl: 'shaders/wgsl/deblock.wgsl',
+            isActive: (preset) => preset.deblocking > 0
+        },
+        deband: {
+            source: 'shaders/deband.glsl',
+            wgsl: 'shaders/wgsl/deband.wgsl',
+            isActive: (preset) => preset.debanding > 0
+        },
+        smooth: {
+            source: 'shaders/smooth.glsl',
+            wgsl: 'shaders/wgsl/smooth.wgsl',
+            isActive: (preset) => preset.smoothing > 0
+        },
+        sharpen: {
+            source: 'shaders/sharpen.glsl',
+            wgsl: 'shaders/wgsl/sharpen.wgsl',
+            stage: 'output',
+            isActive: (preset) => preset.sharpening > 0
+        },
+        rcas: {
+            source: 'shaders/rcas.glsl',
+            stage: 'output',
+            isActive: (preset) => preset.sharpening > 0
+        },
+        copy: {
+            source: 'shaders/copy.glsl',
+            wgsl: 'shaders/wgsl/copy.wgsl',
+            isActive: () => true
+        },
+
+        // Upscale passes are inserted by the pipeline, never by presets
+        easu: {
+            source: 'shaders/easu.glsl',
+            upscale: true,
+            isActive: () => false
+        },
+        lanczos: {
+            source: 'shaders/lanczos.glsl',
+            upscale: true,
+            isActive: () => false
+        },
+
+        // Composite passes run after the preset's chain (see render)
+        compare: {
+            source: 'shaders/compare.glsl',
+            wgsl: 'shaders/wgsl/compare.wgsl',
+            composite: true,
+            isActive: () => false
+        }
+    };
+
+    /**
+     * Upscalers: the pass that resamples, and the pass that stands in for
+     * "sharpen" after it (EASU is paired with RCAS, as in FSR)
+     */
+    static UPSCALERS = {
+        easu: { pass: 'easu', sharpen: 'rcas' },
+        lanczos: { pass: 'lanczos', sharpen: 'sharpen' }
+    };
+
+    static VERTEX_SHADER = 'shaders/vertex.glsl';
+
+    // Pass order used when a preset does not specify `passes`
+    static DEFAULT_ORDER = ['denoise', 'deblock', 'deband', 'smooth', 'sharpen'];
+
+    // Longest media-time step between frames that still counts as continuous
+    // playback; a larger jump (or one backwards) drops the temporal history
+    static MAX_HISTORY_GAP = 0.5;
+
+    // Shader sources are fetched once and shared by every pipeline on the page
+    static sourceCache = new Map();
+
+    /**
+     * Fetch a shader source file from the extension package
+     * @param {string} path - Path relative to the extension root
+     * @returns {Promise<string>} Shader source
+     */
+    static loadSource(path) {
+        if (!ShaderPipeline.sourceCache.has(path)) {
+            const request = fetch(chrome.runtime.getURL(path)).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load shader ${path}: ${response.status}`);
+                }
+                return response.text();
+            });
+
+            // Allow a retry if the fetch failed
+            request.catch(() => ShaderPipeline.sourceCache.delete(path));
+            ShaderPipeline.sourceCache.set(path, request);
+        }
+        return ShaderPipeline.sourceCache.get(path);
+    }
+
+    /**
+     * Resolve the ordered list of passes a preset asks for
+     * Input-stage passes come first; unknown pass names are dropped with a warning
+     */
+    static getPassOrder(preset) {
+        const order = Array.isArray(preset?.passes) ? preset.passes : ShaderPipeline.DEFAULT_ORDER;
+        const input = Object.keys(ShaderPipeline.PASSES).filter(name => ShaderPipeline.PASSES[name].stage === 'input');
+
+        return [...input, ...order.filter(name => {
+            const pass = ShaderPipeline.PASSES[name];
+            if (pass?.stage === 'input') return false;
+            if (pass && !pass.composite && !pass.upscale) return true;
+            console.warn('[Video Enhance] Unknown shader pass:', name);
+            return false;
+        })];
+    }
+
+    constructor(gl) {
+        this.gl = gl;
+        this.vertexShader = null;
+        this.programs = new Map();
+        this.uniformLocations = new WeakMap();
+        this.buffers = [];
+        this.targets = [];
+        this.outputTargets = [];
+        this.width = 0;
+        this.height = 0;
+        this.outputWidth = 0;
+        this.outputHeight = 0;
+        this.upscaler = null;
+        this.noiseTexture = null;
+
+        // Temporal history: a pair of targets at source size, written in turn
+        this.history = [];
+        this.historySize = null;
+        this.historyIndex = 0;
+        this.historyValid = false;
+        this.historyReadable = false;
+        this.historyTime = null;
+        this.frameTime = null;
+
+        // WebGL2 can keep intermediate results in half-float targets
+        this.floatTargets = Boolean(gl) && typeof WebGL2RenderingContext !== 'undefined' &&
+            gl instanceof WebGL2RenderingContext && Boolean(gl.getExtension('EXT_color_buffer_float'));
+    }
+
+    /**
+     * Resolve the ordered list of passes a preset asks for
+     */
+    getPassOrder(preset) {
+        return ShaderPipeline.getPassOrder(preset);
+    }
+
+    /**
+     * Get the passes that actually do work for a preset, in render order
+     * While upscaling, the upscale pass goes between source and output passes
+     */
+    getActivePasses(preset) {
+        const active = this.getPassOrder(preset).filter(name => ShaderPipeline.PASSES[name].isActive(preset));
+        if (!this.isUpscaling()) return active;
+
+        const upscaler = ShaderPipeline.UPSCALERS[this.upscaler];
+        const passes = active.map(name => (name === 'sharpen' ? upscaler.sharpen : name));
+        const isOutput = name => ShaderPipeline.PASSES[name].stage === 'output';
+
+        return [
+            ...passes.filter(name => !isOutput(name)),
+            upscaler.pass,
+            ...passes.filter(isOutput)
+        ];
+    }
+
+    /**
+     * Choose the upscaler used when the output is larger than the source
+     * @param {string|null} name - Key of UPSCALERS, or null for browser scaling
+     */
+    setUpscaler(name) {
+        this.upscaler = ShaderPipeline.UPSCALERS[name] ? name : null;
+    }
+
+    /**
+     * Whether frames are resampled to a larger output size by an upscale pass
+     */
+    isUpscaling() {
+        return Boolean(this.upscaler) &&
+            (this.outputWidth !== this.width || this.outputHeight !== this.height);
+    }
+
+    /**
+     * Load and compile every pass a preset may use
+     * Already-compiled passes are reused, and the current upscaler is included
+     * @param {Object} preset - Preset whose passes to load
+     * @param {string[]} extraPasses - Additional passes, e.g. composite passes
+     */
+    async load(preset, extraPasses = []) {
+        const gl = this.gl;
+        const upscaler = ShaderPipeline.UPSCALERS[this.upscaler];
+        const upscalePasses = upscaler ? [upscaler.pass, upscaler.sharpen] : [];
+        const names = [...new Set([...this.getPassOrder(preset), ...upscalePasses, ...extraPasses, 'copy'])]
+            .filter(name => !this.programs.has(name));
+
+        const [vertexSource, ...fragmentSources] = await Promise.all([
+            ShaderPipeline.loadSource(ShaderPipeline.VERTEX_SHADER),
+            ...names.map(name => ShaderPipeline.loadSource(ShaderPipeline.PASSES[name].source))
+        ]);
+
+        // The context may have been torn down while sources were loading
+        if (!this.gl) return this;
+
+        if (!this.vertexShader) {
+            this.vertexShader = this.compileShader(gl.VERTEX_SHADER, vertexSource, 'vertex');
+            this.setupGeometry();
+            this.createNoiseTexture();
+        }
+
+        names.forEach((name, index) => {
+            // A concurrent load may have compiled it in the meantime
+            if (this.programs.has(name)) return;
+
+            const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, fragmentSources[index], name);
+            this.programs.set(name, this.linkProgram(name, fragmentShader));
+        });
+
+        return this;
+    }
+
+    /**
+     * Compile a single shader stage
+     */
+    compileShader(type, source, name) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`Shader compile error (${name}): ${log}`);
+        }
+
+        return shader;
+    }
+
+    /**
+     * Link a pass program against the shared vertex shader
+     */
+    linkProgram(name, fragmentShader) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.vertexShader);
+        gl.attachShader(program, fragmentShader);
+
+        // Fixed attribute locations let every program share the same quad buffers
+        gl.bindAttribLocation(program, 0, 'a_position');
+        gl.bindAttribLocation(program, 1, 'a_texCoord');
+        gl.linkProgram(program);
+
+        // The program keeps the shader alive until it is deleted
+        gl.deleteShader(fragmentShader);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(`Program link error (${name}): ${log}`);
+        }
+
+        return program;
+    }
+
+    /**
+     * Set up full-screen quad geometry shared by all passes
+     */
+    setupGeometry() {
+        const gl = this.gl;
+
+        // Position buffer (clip space)
+        const positionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1,
+            1, -1,
+            -1, 1,
+            1, 1
+        ]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        // Texture coordinate buffer (frames are uploaded with UNPACK_FLIP_Y_WEBGL,
+        // so video textures and framebuffer textures share the same orientation)
+        const texCoordBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            0, 0,
+            1, 0,
+            0, 1,
+            1, 1
+        ]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(1);
+        gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0);
+
+        this.buffers.push(positionBuffer, texCoordBuffer);
+    }
+
+    /**
+     * Upload the blue-noise tile (content/blue-noise.js) used for dithering
+     * It repeats across the frame and is read texel for texel (nearest).
+     */
+    createNoiseTexture() {
+        const gl = this.gl;
+        const size = window.BlueNoise.SIZE;
+
+        this.noiseTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.noiseTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+        // Keep the tile's rows in order (frames are uploaded flipped)
+        const flipY = gl.getParameter(gl.UNPACK_FLIP_Y_WEBGL);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, size, size, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, window.BlueNoise.get());
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, flipY);
+    }
+
+    /**
+     * Resize the intermediate framebuffer textures
+     * @param {number} width - Source (video) width
+     * @param {number} height - Source (video) height
+     * @param {number} outputWidth - Canvas width; defaults to the source width
+     * @param {number} outputHeight - Canvas height; defaults to the source height
+     */
+    resize(width, height, outputWidth = width, outputHeight = height) {
+        if (width === this.width && height === this.height &&
+            outputWidth === this.outputWidth && outputHeight === this.outputHeight) return;
+
+        this.deleteTargets();
+        this.width = width;
+        this.height = height;
+        this.outputWidth = outputWidth;
+        this.outputHeight = outputHeight;
+        this.targets = [this.createTarget(width, height), this.createTarget(width, height)];
+
+        // Output-stage passes need their own pair once the sizes differ
+        this.outputTargets = outputWidth === width && outputHeight === height
+            ? this.targets
+            : [this.createTarget(outputWidth, outputHeight), this.createTarget(outputWidth, outputHeight)];
+    }
+
+    /**
+     * Create a framebuffer with a colour texture attachment
+     */
+    createTarget(width, height) {
+        const gl = this.gl;
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (this.floatTargets) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error('Incomplete framebuffer for shader pipeline');
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, framebuffer };
+    }
+
+    /**
+     * Tell temporal passes which frame is being rendered
+     * Redraws of the same frame read the same history again, so a paused
+     * video doesn't keep averaging with itself.
+     * @param {number} time - Media time of the frame (video.currentTime)
+     */
+    setFrameTime(time) {
+        this.frameTime = time;
+    }
+
+    /**
+     * Forget the temporal history; the next frame is processed on its own
+     * Used on seeks and source changes
+     */
+    resetHistory() {
+        this.historyValid = false;
+        this.historyTime = null;
+    }
+
+    /**
+     * Pick the history slot the temporal pass writes for the current frame
+     * On a new frame the older slot becomes the one written; the other slot
+     * only counts as history if it holds the frame just before.
+     * @returns {Object} { index: slot to write, valid: whether the other slot is usable }
+     */
+    advanceHistory() {
+        if (this.frameTime !== this.historyTime || this.frameTime === null) {
+            const gap = this.frameTime - this.historyTime;
+            this.historyReadable = this.historyValid && gap > 0 && gap <= ShaderPipeline.MAX_HISTORY_GAP;
+            this.historyIndex = 1 - this.historyIndex;
+            this.historyTime = this.frameTime;
+            this.historyValid = true;
+        }
+        return { index: this.historyIndex, valid: this.historyReadable };
+    }
+
+    /**
+     * History targets for the temporal pass of the current frame
+     * A size change replaces them, and the first frame after has no history.
+     * @returns {Object} { read, write, valid }
+     */
+    getHistory(width, height) {
+        if (this.historySize !== `${width}x${height}`) {
+            this.deleteHistory();
+            this.history = [this.createTarget(width, height), this.createTarget(width, height)];
+            this.historySize = `${width}x${height}`;
+        }
+
+        const { index, valid } = this.advanceHistory();
+        return { read: this.history[1 - index], write: this.history[index], valid };
+    }
+
+    /**
+     * Run the active passes of a preset over a source texture
+     * The last pass renders straight to the canvas. Every pass can also
+     * read the unprocessed frame through `u_original` (texture unit 1) and
+     * the blue-noise tile through `u_blueNoise` (texture unit 2); temporal
+     * passes render into the history and read the previous frame's through
+     * `u_history` (texture unit 3), with `u_hasHistory` 0 when there is none.
+     * `u_resolution` is set per pass to the size of the texture it reads.
+     * @param {WebGLTexture} source - Texture holding the current video frame
+     * @param {Object} preset - Preset parameters and pass order
+     * @param {Object} uniforms - Shared uniform values (name -> number or array)
+     * @param {string|null} composite - Composite pass to run last, if loaded
+     */
+    render(source, preset, uniforms, composite = null) {
+        const gl = this.gl;
+        const plan = this.getRenderPlan(preset, composite);
+        let input = source;
+
+        // History skipped for a frame is out of date
+        if (!plan.some(step => step.temporal)) this.resetHistory();
+
+        for (const step of plan) {
+            const { program } = step;
+            const history = step.temporal ? this.getHistory(step.width, step.height) : null;
+            const target = history ? history.write : step.target;
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+            gl.viewport(0, 0, step.width, step.height);
+            gl.useProgram(program);
+
+            if (history) {
+                gl.activeTexture(gl.TEXTURE3);
+                gl.bindTexture(gl.TEXTURE_2D, history.read.texture);
+                gl.uniform1i(this.getUniformLocation(program, 'u_history'), 3);
+            }
+
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, source);
+            gl.uniform1i(this.getUniformLocation(program, 'u_original'), 1);
+
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, this.noiseTexture);
+            gl.uniform1i(this.getUniformLocation(program, 'u_blueNoise'), 2);
+
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, input);
+            gl.uniform1i(this.getUniformLocation(program, 'u_texture'), 0);
+            this.setUniforms(program, {
+                ...uniforms,
+                u_resolution: step.inputSize,
+                ...(history && { u_hasHistory: history.valid ? 1 : 0 })
+            });
+
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+            if (target) input = target.texture;
+        }
+    }
+
+    /**
+     * Work out the passes to draw this frame, their targets and sizes
+     * The last step has no target and draws to the canvas. Temporal steps
+     * draw into the history instead of `target` (see render).
+     * @returns {Object[]} Steps: { name, program, target, width, height, inputSize, temporal }
+     */
+    getRenderPlan(preset, composite = null) {
+        const passes = this.getActivePasses(preset).filter(name => this.programs.has(name));
+
+        if (composite && this.programs.has(composite)) {
+            passes.push(composite);
+        } else if (passes.length === 0 || ShaderPipeline.PASSES[passes[passes.length - 1]].temporal) {
+            // Nothing to do still needs the frame on screen, and a temporal
+            // pass must keep its output for the next frame
+            passes.push('copy');
+        }
+
+        let inputSize = [this.width, this.height];
+        let upscaled = false;
+
+        return passes.map((name, index) => {
+            const isLast = index === passes.length - 1;
+            const pass = ShaderPipeline.PASSES[name];
+
+            // From the upscale pass (or the first output-stage pass) on, render at output size
+            if (pass.upscale || pass.stage === 'output' || pass.composite) upscaled = true;
+            const scaled = upscaled || isLast;
+            const targets = scaled ? this.outputTargets : this.targets;
+
+            const step = {
+                name,
+                program: this.programs.get(name),
+                target: isLast ? null : targets[index % 2],
+                width: scaled ? this.outputWidth : this.width,
+                height: scaled ? this.outputHeight : this.height,
+                inputSize,
+                temporal: Boolean(pass.temporal)
+            };
+
+            if (scaled) inputSize = [this.outputWidth, this.outputHeight];
+            return step;
+        });
+    }
+
+    /**
+     * Upload float uniforms a program declares; others are ignored
+     */
+    setUniforms(program, uniforms) {
+        const gl = this.gl;
+
+        for (const [name, value] of Object.entries(uniforms)) {
+            const location = this.getUniformLocation(program, name);
+            if (!location) continue;
+
+            if (Array.isArray(value)) {
+                gl[`uniform${value.length}fv`](location, value);
+            } else {
+                gl.uniform1f(location, value);
+            }
+        }
+    }
+
+    /**
+     * Look up a uniform location, cached per program
+     * Uniforms a program doesn't declare are cached as null
+     */
+    getUniformLocation(program, name) {
+        let locations = this.uniformLocations.get(program);
+        if (!locations) {
+            locations = new Map();
+            this.uniformLocations.set(program, locations);
+        }
+
+        if (!locations.has(name)) {
+            locations.set(name, this.gl.getUniformLocation(program, name));
+        }
+        return locations.get(name);
+    }
+
+    /**
+     * Delete the history framebuffers; the next temporal pass starts without history
+     */
+    deleteHistory() {
+        const gl = this.gl;
+        for (const target of this.history) {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        }
+        this.history = [];
+        this.historySize = null;
+        this.resetHistory();
+    }
+
+    /**
+     * Delete the ping-pong framebuffers (and the history, which has the same size)
+     */
+    deleteTargets() {
+        const gl = this.gl;
+        for (const target of new Set([...this.targets, ...this.outputTargets])) {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        }
+        this.deleteHistory();
+        this.targets = [];
+        this.outputTargets = [];
+        this.width = 0;
+        this.height = 0;
+        this.outputWidth = 0;
+        this.outputHeight = 0;
+    }
+
+    /**
+     * Clean up GPU resources
+     */
+    destroy() {
+        const gl = this.gl;
+        if (!gl) return;
+
+        this.deleteTargets();
+        this.programs.forEach(program => gl.deleteProgram(program));
+        this.buffers.forEach(buffer => gl.deleteBuffer(buffer));
+        if (this.vertexShader) gl.deleteShader(this.vertexShader);
+        if (this.noiseTexture) gl.deleteTexture(this.noiseTexture);
+
+        this.programs.clear();
+        this.buffers = [];
+        this.vertexShader = null;
+        this.noiseTexture = null;
+        this.gl = null;
+    }
+}
+
+// Make available globally
+window.ShaderPipeline = ShaderPipeline;
@@ -0,0 +1,25 @@
+// Shadow Hook - Announces new shadow roots to the video detector
+// Runs in the page's own JavaScript world at document_start, so it wraps
+// attachShadow() before any page script calls it. MutationObserver doesn't
+// see into shadow trees, so the detector (in the isolated content script
+// world) needs to be told when one appears: the host dispatches a composed
+// event that bubbles up to the document.
+// Only open roots are announced; closed roots stay out of reach.
+
+(function () {
+    'use strict';
+
+    // Must match SHADOW_ROOT_EVENT in content/video-detector.js
+    const SHADOW_ROOT_EVENT = 'video-enhance:shadow-root';
+
+    const attachShadow = Element.prototype.attachShadow;
+
+    Element.prototype.attachShadow = function (init) {
+        const root = attachShadow.call(this, init);
+        // Hosts still being built (not in the document) are found when they're inserted
+        if (root.mode === 'open' && this.isConnected) {
+            this.dispatchEvent(new CustomEvent(SHADOW_ROOT_EVENT, { bubbles: true, composed: true }));
+        }
+        return root;
+    };
+})();
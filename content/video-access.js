@@ -0,0 +1,201 @@
+// Video Access - Works out whether a video's frames can be processed
+// Each video gets a status:
+//   'ok'           - frames can be read and enhanced
+//   'drm'          - encrypted media (EME), or a protected path that hands back black frames
+//   'cross-origin' - served without CORS, so the browser refuses to upload its frames
+//   'hdr'          - HDR (PQ or HLG); the 8-bit SDR overlay would clip its highlights
+// Status comes from capability probes rather than site lists: the 'encrypted'
+// event, a one-shot texture upload, the colour space the browser reports for
+// the frame and sampling for all-black output.
+
+const VideoAccess = {
+    // Labels shown in the popup
+    LABELS: {
+        ok: 'OK',
+        drm: 'DRM-protected',
+        'cross-origin': 'Cross-origin',
+        hdr: 'HDR'
+    },
+
+    // Transfer functions of HDR video (WebCodecs VideoColorSpace names)
+    HDR_TRANSFERS: ['pq', 'hlg'],
+
+    // Brightest 8-bit luma still counted as black
+    BLACK_LEVEL: 4,
+
+    // Consecutive black samples, taken while playing, before output counts as protected
+    BLACK_SAMPLES: 5,
+    BLACK_INTERVAL_MS: 2000,
+
+    // Size of the downscaled frame checked for black output
+    BLACK_SAMPLE_WIDTH: 16,
+    BLACK_SAMPLE_HEIGHT: 9,
+
+    // Shared WebGL context and texture for upload probes
+    probeContext: null,
+    probeTexture: null,
+
+    /**
+     * Probe a video once
+     * @param {HTMLVideoElement} video
+     * @returns {string|null} Status, or null if there is no frame to test yet
+     */
+    probe(video) {
+        if (video.mediaKeys) return 'drm';
+        if (video.readyState < video.HAVE_CURRENT_DATA) return null;
+
+        try {
+            this.uploadProbe(video);
+        } catch (e) {
+            if (e.name === 'SecurityError') return 'cross-origin';
+            console.debug('[Video Enhance] Frame upload probe failed:', e.message);
+        }
+
+        const colorSpace = this.readColorSpace(video);
+        if (colorSpace && this.HDR_TRANSFERS.includes(colorSpace.transfer)) return 'hdr';
+        return 'ok';
+    },
+
+    /**
+     * The colour space the browser reports for the current frame (WebCodecs)
+     * @returns {Object|null} { primaries, transfer, matrix, fullRange }, or
+     *   null where VideoFrame is unavailable or the frame can't be wrapped
+     */
+    readColorSpace(video) {
+        if (typeof VideoFrame !== 'function' || video.readyState < video.HAVE_CURRENT_DATA) return null;
+
+        try {
+            const frame = new VideoFrame(video);
+            const colorSpace = frame.colorSpace.toJSON();
+            frame.close();
+            return colorSpace;
+        } catch (e) {
+            console.debug('[Video Enhance] Could not read the frame colour space:', e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Upload the current frame to a throwaway texture, the same way the
+     * renderer does; tainted frames throw SecurityError
+     * Falls back to a 2D canvas readback where WebGL is unavailable
+     */
+    uploadProbe(video) {
+        if (!this.probeContext) {
+            const canvas = typeof OffscreenCanvas === 'function'
+                ? new OffscreenCanvas(1, 1)
+                : document.createElement('canvas');
+            this.probeContext = canvas.getContext('webgl') || false;
+            if (this.probeContext) this.probeTexture = this.probeContext.createTexture();
+        }
+
+        const gl = this.probeContext;
+        if (!gl || gl.isContextLost()) {
+            window.VideoQualityEstimator.readFrame(video, 0, 0, 1, 1, 1, 1);
+            return;
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.probeTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+        // Release the frame-sized storage again
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    },
+
+    /**
+     * Whether the current frame reads back as (almost) pure black
+     */
+    isBlack(video) {
+        const { luma } = window.VideoQualityEstimator.readFrame(
+            video, 0, 0, video.videoWidth, video.videoHeight,
+            this.BLACK_SAMPLE_WIDTH, this.BLACK_SAMPLE_HEIGHT
+        );
+        return luma.every(value => value <= this.BLACK_LEVEL);
+    },
+
+    /**
+     * Keep a video's status up to date
+     * Re-probes when new media loads, switches to 'drm' on the 'encrypted'
+     * event, and samples playing 'ok' videos until a non-black frame shows
+     * their output is readable. Black output alone is only a guess (films
+     * have black openings, fades and dark scenes), so a 'drm' verdict from
+     * it keeps sampling and goes back to 'ok' on the first non-black frame;
+     * only EME ('encrypted', mediaKeys) makes it final.
+     * @param {HTMLVideoElement} video
+     * @param {Function} onChange - Called with the new status
+     * @returns {Function} Stops watching
+     */
+    watch(video, onChange) {
+        let status = this.probe(video);
+        let blackSamples = 0;
+        let lastTime = -1;
+        let verified = false;
+        // 'drm' that rests on black output alone, and can be taken back
+        let blackVerdict = false;
+        let timer = null;
+
+        const update = (next) => {
+            if (next === null || next === status) return;
+            status = next;
+            onChange(status);
+        };
+
+        const handleEncrypted = () => {
+            blackVerdict = false;
+            update('drm');
+        };
+
+        const handleLoaded = () => {
+            blackSamples = 0;
+            lastTime = -1;
+            verified = false;
+            blackVerdict = false;
+            update(this.probe(video));
+        };
+
+        // Protected output paths draw black; real content isn't black for long
+        const sample = () => {
+            const checking = (status === 'ok' && !verified) || (status === 'drm' && blackVerdict);
+            if (!checking || video.paused || video.currentTime === lastTime) return;
+            lastTime = video.currentTime;
+
+            try {
+                if (!this.isBlack(video)) {
+                    verified = true;
+                    blackSamples = 0;
+                    if (blackVerdict && !video.mediaKeys) {
+                        console.debug('[Video Enhance] Video output is readable again');
+                        blackVerdict = false;
+                        update('ok');
+                    }
+                    return;
+                }
+            } catch (e) {
+                if (e.name === 'SecurityError') update('cross-origin');
+                return;
+            }
+
+            if (status !== 'ok') return;
+            blackSamples++;
+            if (blackSamples >= this.BLACK_SAMPLES) {
+                console.debug('[Video Enhance] Video output reads back black; treating it as protected until a frame shows');
+                blackVerdict = true;
+                update('drm');
+            }
+        };
+
+        video.addEventListener('encrypted', handleEncrypted);
+        video.addEventListener('loadeddata', handleLoaded);
+        timer = setInterval(sample, this.BLACK_INTERVAL_MS);
+
+        if (status !== null) onChange(status);
+
+        return () => {
+            clearInterval(timer);
+            video.removeEventListener('encrypted', handleEncrypted);
+            video.removeEventListener('loadeddata', handleLoaded);
+        };
+    }
+};
+
+// Make available globally for other content scripts
+window.VideoAccess = VideoAccess;
@@ -1,34 +1,82 @@
 // Video Detector - Finds and monitors video elements on the page
-// Uses MutationObserver for dynamically added videos
+// Uses MutationObserver for dynamically added videos, on the document and on
+// every open shadow root (announced by content/shadow-hook.js). Runs in each
+// frame; every frame reports its videos to the background for the popup.
 
 (function () {
     'use strict';
 
-    // Track processed videos
-    const processedVideos = new WeakMap();
+    // Track processed videos (removed again when they leave the page)
+    const processedVideos = new Map();
     let extensionState = null;
 
+    // Unsaved settings from the popup's preset editor, applied on top of state
+    let previewPreset = null;
+
+    // Before/after comparison for this page ('off', 'split' or 'magnifier')
+    const COMPARE_CYCLE = ['off', 'split', 'magnifier'];
+    let compareMode = 'off';
+
+    // Whether the background currently holds a render failure for this page
+    let renderFailureReported = false;
+
+    // Holding this key shows the original video
+    const SHOW_ORIGINAL_KEY = '\\';
+
+    // Alt + this key opens or closes enhanced Picture-in-Picture (physical key code)
+    const PIP_KEY = 'KeyP';
+
+    // Enhanced Picture-in-Picture window, if open (one per page)
+    let enhancedPip = null;
+
+    // Event content/shadow-hook.js dispatches from hosts of new open shadow roots
+    const SHADOW_ROOT_EVENT = 'video-enhance:shadow-root';
+
+    // Observes the document and each shadow root for added and removed videos
+    let domObserver = null;
+    const observedRoots = new Set();
+
+    // Bursts of video changes are sent to the background as one report
+    const REPORT_DELAY_MS = 500;
+    let reportTimer = null;
+    let videosReported = false;
+
     /**
      * Initialize the video detector
      */
     async function init() {
-        // Get initial state from background
+        // Get initial state from background, with this site's rule applied
         try {
-            extensionState = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+            const state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+            extensionState = window.SiteRules.resolve(state, window.location.hostname);
         } catch (e) {
             console.log('[Video Enhance] Could not get initial state:', e.message);
             extensionState = { enabled: false, preset: 'low-bitrate' };
         }
 
+        // Watch for new videos
+        observeDOM();
+
         // Find existing videos
         findVideos();
 
-        // Watch for new videos
-        observeDOM();
+        // Tell the background about this frame's videos, and when it goes away
+        window.addEventListener('pagehide', () => reportVideos([]));
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) scheduleReport();
+        });
 
         // Listen for state changes
         chrome.runtime.onMessage.addListener(handleMessage);
 
+        // Hold-to-compare
+        window.addEventListener('keydown', handleShowOriginalKey, true);
+        window.addEventListener('keyup', handleShowOriginalKey, true);
+        window.addEventListener('blur', () => setShowOriginal(false));
+
+        // Enhanced Picture-in-Picture needs the keypress's user activation
+        window.addEventListener('keydown', handlePipKey, true);
+
         console.log('[Video Enhance] Video detector initialized');
     }
 
@@ -38,23 +86,54 @@
     function handleMessage(message, sender, sendResponse) {
         switch (message.type) {
             case 'STATE_CHANGED':
-                extensionState = message.state;
+                extensionState = window.SiteRules.resolve(message.state, window.location.hostname);
+                updateAllVideos();
+                sendResponse({ acknowledged: true });
+                break;
+
+            case 'PREVIEW_PRESET':
+                previewPreset = message.preset;
                 updateAllVideos();
                 sendResponse({ acknowledged: true });
                 break;
 
+            case 'SET_COMPARE':
+                setCompareMode(message.mode);
+                sendResponse({ compareMode });
+                break;
+
+            case 'CYCLE_COMPARE':
+                setCompareMode(COMPARE_CYCLE[(COMPARE_CYCLE.indexOf(compareMode) + 1) % COMPARE_CYCLE.length]);
+                sendResponse({ compareMode });
+                break;
+
             case 'GET_VIDEO_INFO':
-                const videos = document.querySelectorAll('video');
-                const visibleVideos = Array.from(videos).filter(v => isVideoValid(v));
+                const visibleVideos = getVideos().filter(v => isVideoValid(v));
 
                 let quality = null;
+                let auto = null;
+                let performance = null;
+                let backend = null;
+                let colorMatrix = null;
+                const access = visibleVideos.map(video => processedVideos.get(video)?.access || null);
                 if (visibleVideos.length > 0 && window.VideoQualityEstimator) {
+                    const info = processedVideos.get(visibleVideos[0]);
                     quality = window.VideoQualityEstimator.estimate(visibleVideos[0]);
+                    auto = info?.auto?.getStatus() || null;
+                    performance = info?.processor?.governor?.getStatus() || null;
+                    backend = info?.processor?.backend?.id || null;
+                    colorMatrix = info?.processor?.getColorMatrix() || null;
                 }
 
                 sendResponse({
                     videoCount: visibleVideos.length,
-                    quality: quality
+                    quality: quality,
+                    auto: auto,
+                    performance: performance,
+                    backend: backend,
+                    colorMatrix: colorMatrix,
+                    access: access,
+                    compareMode: compareMode
                 });
                 break;
 
@@ -65,40 +144,98 @@
     }
 
     /**
-     * Find all video elements on the page
+     * Find all video elements on the page, including inside open shadow roots
      */
     function findVideos() {
-        const videos = document.querySelectorAll('video');
-        videos.forEach(processVideo);
+        findVideosIn(document);
+    }
+
+    /**
+     * Process the videos in a subtree and observe the open shadow roots in it
+     * @param {Document|ShadowRoot|Element} root
+     */
+    function findVideosIn(root) {
+        if (root.nodeType === Node.ELEMENT_NODE) {
+            if (root.tagName === 'VIDEO') processVideo(root);
+            if (root.shadowRoot) observeShadowRoot(root.shadowRoot);
+        }
+
+        root.querySelectorAll('video').forEach(processVideo);
+        for (const element of root.querySelectorAll('*')) {
+            if (element.shadowRoot) observeShadowRoot(element.shadowRoot);
+        }
+    }
+
+    /**
+     * Watch a shadow root for videos; the document's observer doesn't see into it
+     */
+    function observeShadowRoot(root) {
+        if (observedRoots.has(root)) return;
+
+        observedRoots.add(root);
+        domObserver.observe(root, { childList: true, subtree: true });
+        findVideosIn(root);
     }
 
     /**
-     * Set up MutationObserver to detect dynamically added videos
+     * Every video in the document and in the observed shadow roots
+     */
+    function getVideos() {
+        const videos = Array.from(document.querySelectorAll('video'));
+        for (const root of observedRoots) {
+            videos.push(...root.querySelectorAll('video'));
+        }
+        return videos;
+    }
+
+    /**
+     * Set up MutationObserver to detect dynamically added and removed videos
      */
     function observeDOM() {
-        const observer = new MutationObserver((mutations) => {
+        domObserver = new MutationObserver((mutations) => {
+            let removed = false;
             for (const mutation of mutations) {
-                // Check added nodes
+                // Check added nodes, the videos inside them and their shadow roots
                 for (const node of mutation.addedNodes) {
                     if (node.nodeType === Node.ELEMENT_NODE) {
-                        // Check if node is a video
-                        if (node.tagName === 'VIDEO') {
-                            processVideo(node);
-                        }
-                        // Check for videos inside node
-                        const videos = node.querySelectorAll?.('video');
-                        if (videos) {
-                            videos.forEach(processVideo);
-                        }
+                        findVideosIn(node);
                     }
                 }
+                removed = removed || mutation.removedNodes.length > 0;
             }
+            if (removed) checkRemovedVideos();
         });
 
-        observer.observe(document.body, {
+        // Frames without a body (e.g. SVG documents) are observed from the root element
+        domObserver.observe(document.body || document.documentElement, {
             childList: true,
             subtree: true
         });
+
+        // Shadow roots attached after the page loaded
+        document.addEventListener(SHADOW_ROOT_EVENT, (e) => {
+            const host = e.composedPath()[0];
+            if (host?.shadowRoot) observeShadowRoot(host.shadowRoot);
+        }, true);
+    }
+
+    /**
+     * Stop processing videos that left the page, and forget shadow roots
+     * whose host was removed
+     */
+    function checkRemovedVideos() {
+        for (const [video, info] of processedVideos) {
+            if (video.isConnected) continue;
+
+            disableProcessing(video);
+            info.unwatchAccess();
+            processedVideos.delete(video);
+            scheduleReport();
+        }
+
+        for (const root of observedRoots) {
+            if (!root.host.isConnected) observedRoots.delete(root);
+        }
     }
 
     /**
@@ -115,18 +252,16 @@
             return;
         }
 
-        // Check for DRM
-        if (window.VideoQualityEstimator?.isLikelyDRM(video)) {
-            console.log('[Video Enhance] Skipping DRM-protected video');
-            processedVideos.set(video, { drm: true });
-            return;
-        }
-
         // Create video info
+        // access: 'ok', 'drm' or 'cross-origin' (see content/video-access.js); null until probed
         const info = {
             processor: null,
+            // Processor still initialising; disableProcessing() clears it
+            pending: null,
+            auto: null,
             quality: null,
-            drm: false
+            access: null,
+            unwatchAccess: null
         };
 
         // Estimate quality
@@ -135,6 +270,7 @@
         }
 
         processedVideos.set(video, info);
+        scheduleReport();
 
         // Report to background
         chrome.runtime.sendMessage({
@@ -146,24 +282,16 @@
             }
         }).catch(() => { }); // Ignore errors
 
-        // Start processing if enabled
-        if (extensionState?.enabled) {
-            enableProcessing(video);
-        }
+        // Processing starts once the frames are known to be readable
+        info.unwatchAccess = window.VideoAccess.watch(video, (status) => handleAccessChange(video, status));
 
         // Watch for video end/removal
         video.addEventListener('ended', () => disableProcessing(video));
         video.addEventListener('emptied', () => disableProcessing(video));
 
-        // Watch for video removal from DOM
-        const removalObserver = new MutationObserver((mutations) => {
-            if (!document.body.contains(video)) {
-                disableProcessing(video);
-                processedVideos.delete(video);
-                removalObserver.disconnect();
-            }
-        });
-        removalObserver.observe(document.body, { childList: true, subtree: true });
+        // The playing video gets the GPU budget on multi-video pages
+        video.addEventListener('play', updateFocus);
+        video.addEventListener('pause', updateFocus);
 
         console.debug('[Video Enhance] Video processed:', video.videoWidth, 'x', video.videoHeight);
     }
@@ -200,18 +328,127 @@
      */
     async function enableProcessing(video) {
         const info = processedVideos.get(video);
-        if (!info || info.drm || info.processor) return;
+        if (!info || info.access !== 'ok' || info.processor || info.pending || info.renderFailure) return;
 
+        let processor = null;
         try {
             const preset = getPresetSettings();
-            const processor = new window.VideoProcessor(video, { preset });
+            processor = new window.VideoProcessor(video, {
+                preset,
+                rendering: extensionState.rendering,
+                controlSelectors: extensionState.controlSelectors,
+                onFailure: (reason) => handleRenderFailure(video, reason),
+                onAccessDenied: (status) => handleAccessChange(video, status)
+            });
+            info.pending = processor;
             await processor.init();
+
+            // Disabled, removed or no longer readable while initialising
+            const wanted = info.pending === processor && processedVideos.get(video) === info &&
+                extensionState?.enabled && info.access === 'ok' && !info.renderFailure;
+            if (!wanted) {
+                if (info.pending === processor) info.pending = null;
+                processor.destroy();
+                return;
+            }
+
+            info.pending = null;
             processor.start();
             info.processor = processor;
+            applyPreset(info);
+            processor.setCompareMode(compareMode);
+            updateFocus();
+            reportRenderFailure();
+            scheduleReport();
             console.log('[Video Enhance] Processing enabled for video');
         } catch (e) {
             console.error('[Video Enhance] Failed to enable processing:', e);
+            if (info.pending === processor) info.pending = null;
+            processor?.destroy();
+        }
+    }
+
+    /**
+     * A video's access status changed: only 'ok' videos are processed
+     */
+    function handleAccessChange(video, status) {
+        const info = processedVideos.get(video);
+        if (!info || info.access === status) return;
+
+        info.access = status;
+        scheduleReport();
+        if (status !== 'ok') {
+            console.log(`[Video Enhance] Skipping video: ${window.VideoAccess.LABELS[status]}`);
+            disableProcessing(video);
+        } else if (extensionState?.enabled) {
+            enableProcessing(video);
+        }
+    }
+
+    /**
+     * A processor gave up after losing its GPU context repeatedly
+     * The video stays unprocessed until enhancement is switched off and on again
+     */
+    function handleRenderFailure(video, reason) {
+        const info = processedVideos.get(video);
+        if (!info) return;
+
+        disableProcessing(video);
+        info.renderFailure = reason;
+        reportRenderFailure();
+    }
+
+    /**
+     * Tell the background about the first render failure on the page, or
+     * that there is none (so the popup stops showing it)
+     */
+    function reportRenderFailure() {
+        let failure = null;
+        for (const info of processedVideos.values()) {
+            failure = info.renderFailure || failure;
         }
+        if (!failure && !renderFailureReported) return;
+
+        renderFailureReported = Boolean(failure);
+        chrome.runtime.sendMessage({ type: 'RENDER_FAILED', error: failure }).catch(() => { });
+    }
+
+    /**
+     * Report this frame's videos once the current burst of changes settles
+     */
+    function scheduleReport() {
+        clearTimeout(reportTimer);
+        reportTimer = setTimeout(() => reportVideos(), REPORT_DELAY_MS);
+    }
+
+    /**
+     * Send this frame's visible videos to the background, which keeps a report
+     * per frame so the popup can show the videos of every frame in the tab
+     * Frames that never had a video stay quiet.
+     */
+    function reportVideos(videos = describeVideos()) {
+        clearTimeout(reportTimer);
+        if (videos.length === 0 && !videosReported) return;
+
+        videosReported = videos.length > 0;
+        chrome.runtime.sendMessage({ type: 'FRAME_VIDEOS', videos }).catch(() => { });
+    }
+
+    /**
+     * Summary of each visible video: size, on-screen area, access status and
+     * whether it is being enhanced
+     */
+    function describeVideos() {
+        return getVideos().filter(isVideoValid).map(video => {
+            const info = processedVideos.get(video);
+            return {
+                width: video.videoWidth,
+                height: video.videoHeight,
+                area: video.clientWidth * video.clientHeight,
+                access: info?.access || null,
+                processing: Boolean(info?.processor)
+            };
+        });
     }
 
     /**
@@ -219,10 +456,23 @@
      */
     function disableProcessing(video) {
         const info = processedVideos.get(video);
-        if (!info || !info.processor) return;
+        if (!info) return;
+
+        // A processor still initialising is destroyed once init() returns
+        info.pending = null;
+        if (!info.processor) return;
 
+        if (info.auto) {
+            info.auto.destroy();
+            info.auto = null;
+        }
+        if (enhancedPip && enhancedPip.processor === info.processor) {
+            enhancedPip.close();
+        }
         info.processor.destroy();
         info.processor = null;
+        updateFocus();
+        scheduleReport();
         console.log('[Video Enhance] Processing disabled for video');
     }
 
@@ -230,31 +480,158 @@
      * Update all processed videos based on current state
      */
     function updateAllVideos() {
-        const videos = document.querySelectorAll('video');
-
-        for (const video of videos) {
-            const info = processedVideos.get(video);
-            if (!info || info.drm) continue;
+        for (const [video, info] of processedVideos) {
+            if (info.access !== 'ok') continue;
 
             if (extensionState?.enabled) {
                 if (!info.processor) {
                     enableProcessing(video);
                 } else {
-                    // Update preset
-                    info.processor.setPreset(getPresetSettings());
+                    // Update preset and render settings
+                    applyPreset(info);
+                    if (extensionState.rendering) {
+                        info.processor.setRendering(extensionState.rendering);
+                    }
+                    info.processor.setControlSelectors(extensionState.controlSelectors);
                 }
             } else {
                 if (info.processor) {
                     disableProcessing(video);
                 }
+                // Switching off and on retries a video whose rendering failed
+                info.renderFailure = null;
             }
         }
+
+        if (!extensionState?.enabled) reportRenderFailure();
+    }
+
+    /**
+     * With several videos processing, throttle all but the focused one:
+     * the largest playing video, or the largest video if none is playing
+     */
+    function updateFocus() {
+        const active = getActiveVideos();
+        const focused = getFocusedVideo(active);
+
+        for (const video of active) {
+            processedVideos.get(video).processor.setBackground(active.length > 1 && video !== focused);
+        }
+    }
+
+    /**
+     * Videos with a running processor
+     */
+    function getActiveVideos() {
+        return Array.from(processedVideos.keys()).filter(video => processedVideos.get(video).processor);
+    }
+
+    /**
+     * The largest playing video, or the largest video if none is playing
+     */
+    function getFocusedVideo(active) {
+        const area = video => video.clientWidth * video.clientHeight;
+        const playing = active.filter(video => !video.paused);
+        return (playing.length > 0 ? playing : active)
+            .reduce((best, video) => (!best || area(video) > area(best) ? video : best), null);
+    }
+
+    /**
+     * Alt+P: open enhanced Picture-in-Picture for the focused video, or close it
+     */
+    function handlePipKey(e) {
+        if (e.code !== PIP_KEY || !e.altKey || e.repeat || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+        if (enhancedPip) {
+            enhancedPip.close();
+            e.preventDefault();
+            return;
+        }
+
+        const focused = getFocusedVideo(getActiveVideos());
+        if (!focused || !window.EnhancedPip.isSupported()) return;
+        e.preventDefault();
+
+        const pip = new window.EnhancedPip(processedVideos.get(focused).processor, () => {
+            if (enhancedPip === pip) enhancedPip = null;
+        });
+        enhancedPip = pip;
+        pip.open().catch(err => {
+            console.warn('[Video Enhance] Could not open Picture-in-Picture:', err.message);
+        });
+    }
+
+    /**
+     * Set the comparison mode on every running processor
+     */
+    function setCompareMode(mode) {
+        if (!COMPARE_CYCLE.includes(mode)) return;
+
+        compareMode = mode;
+        forEachProcessor(processor => processor.setCompareMode(mode));
+    }
+
+    /**
+     * Show the original video while the compare key is held
+     */
+    function handleShowOriginalKey(e) {
+        if (e.key !== SHOW_ORIGINAL_KEY || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Don't hijack typing
+        const target = e.target;
+        if (target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return;
+        }
+
+        setShowOriginal(e.type === 'keydown');
+    }
+
+    /**
+     * Toggle the original video on every running processor
+     */
+    function setShowOriginal(show) {
+        forEachProcessor(processor => processor.setShowOriginal(show));
+    }
+
+    /**
+     * Call a function for every video with a running processor
+     */
+    function forEachProcessor(callback) {
+        for (const info of processedVideos.values()) {
+            if (info.processor) callback(info.processor);
+        }
+    }
+
+    /**
+     * Apply the current preset to a running processor
+     * The Auto preset hands the processor to an AutoPresetController instead
+     */
+    function applyPreset(info) {
+        const settings = getPresetSettings();
+
+        if (settings.auto) {
+            if (info.auto) {
+                info.auto.setPresets(extensionState.presets);
+            } else {
+                info.auto = new window.AutoPresetController(info.processor.video, info.processor, extensionState.presets);
+                info.auto.start();
+            }
+            return;
+        }
+
+        if (info.auto) {
+            info.auto.destroy();
+            info.auto = null;
+        }
+        info.processor.setPreset(settings, { transition: previewPreset ? 0 : 300 });
     }
 
     /**
      * Get current preset settings
      */
     function getPresetSettings() {
+        if (previewPreset) return previewPreset;
+
         const presetKey = extensionState?.preset || 'low-bitrate';
         const presets = extensionState?.presets || {};
         return presets[presetKey] || {
@@ -1,16 +1,105 @@
-// Video Processor - WebGL rendering pipeline for video enhancement
-// Applies shader chain based on active preset
+// Video Processor - GPU rendering pipeline for video enhancement
+// Runs the multi-pass shader pipeline selected by the active preset on the
+// first working render backend (WebGPU, WebGL2, WebGL or software; see content/render-backends.js).
+// Frames are drawn once per decoded video frame (requestVideoFrameCallback);
+// while paused, only seeks and setting changes trigger a redraw.
+// If the GPU context is lost the overlay is hidden until the backend is rebuilt;
+// after repeated losses the processor gives up and reports through options.onFailure.
 
 class VideoProcessor {
+    // Preset parameters that cross-fade during a transition
+    static BLEND_PARAMS = ['denoising', 'deblocking', 'debanding', 'smoothing', 'sharpening'];
+
+    // Gradient debanding settings for presets saved before they existed
+    static DEBAND_DEFAULTS = { debandRadius: 16, debandThreshold: 0.75, debandIterations: 1 };
+
+    // Comparison modes and their value in the compare shader
+    static COMPARE_MODES = { off: 0, split: 1, magnifier: 2 };
+
+    // Largest canvas rendered at display resolution (4K UHD)
+    static MAX_OUTPUT_PIXELS = 3840 * 2160;
+
+    // Context losses tolerated within RECOVERY_WINDOW_MS before giving up
+    static MAX_RECOVERIES = 3;
+    static RECOVERY_WINDOW_MS = 60000;
+
+    // How long a lost WebGL context gets to come back before a new backend is created
+    static RESTORE_TIMEOUT_MS = 3000;
+
+    // Per-frame step of the blue-noise offset; the golden ratio spreads
+    // successive thresholds evenly over time
+    static NOISE_STEP = 0.6180339887;
+
+    // Deblocking strength follows the measured blockiness: a clean frame keeps
+    // DEBLOCK_FLOOR of the preset's strength, and BLOCKINESS_FULL (where the
+    // estimator starts reporting "blocky") gets all of it
+    static DEBLOCK_FLOOR = 0.25;
+    static BLOCKINESS_FULL = 0.3;
+
+    // Luma coefficients of each colour matrix
+    static LUMA_WEIGHTS = {
+        bt601: [0.299, 0.587, 0.114],
+        bt709: [0.2126, 0.7152, 0.0722],
+        bt2020: [0.2627, 0.678, 0.0593]
+    };
+
+    // Matrix names in a WebCodecs colour space, and the matrix they use
+    static COLOR_SPACE_MATRICES = {
+        bt709: 'bt709',
+        bt470bg: 'bt601',
+        smpte170m: 'bt601',
+        'bt2020-ncl': 'bt2020'
+    };
+
+    // Smallest height assumed to be HD (BT.709) when the stream doesn't say
+    static HD_HEIGHT = 720;
+
     constructor(video, options = {}) {
         this.video = video;
         this.options = options;
         this.canvas = null;
-        this.gl = null;
-        this.program = null;
-        this.texture = null;
+        this.container = null;
+        this.tracker = null;
+        this.captions = null;
+        this.backend = null;
+        this.backendPreference = null;
+        this.backendSwitch = null;
+        this.pipeline = null;
+        this.governor = null;
         this.animationId = null;
+        this.frameCallbackId = null;
+        this.redrawId = null;
+        this.lastFrameTime = -1;
+        this.frameClock = null;
+        this.animationClock = null;
+        this.onCanvasReplaced = null;
         this.isProcessing = false;
+        this.transition = null;
+        this.compare = { mode: 'off', split: 0.5, focus: [0.5, 0.5], zoom: 3 };
+        this.divider = null;
+        this.showOriginal = false;
+        this.contextLost = false;
+        this.recoveries = [];
+        this.restoreTimer = null;
+        this.failure = null;
+        this.noiseOffset = 0;
+        this.colorSpace = null;
+        this.colorSpaceKey = null;
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handleVideoFrame = this.handleVideoFrame.bind(this);
+        this.handleAnimationFrame = this.handleAnimationFrame.bind(this);
+        this.requestRedraw = this.requestRedraw.bind(this);
+        this.handleDiscontinuity = this.handleDiscontinuity.bind(this);
+        this.handleOverlayResize = this.handleOverlayResize.bind(this);
+        this.rendering = {
+            resolution: 'video',
+            upscaler: 'easu',
+            backend: 'auto',
+            matrix: 'auto',
+            expandRange: false,
+            linearLight: false,
+            ...options.rendering
+        };
         this.preset = options.preset || {
             debanding: 0.5,
             smoothing: 0.3,
@@ -19,62 +108,249 @@ class VideoProcessor {
     }
 
     /**
-     * Initialize WebGL context and shaders
+     * Create the render backend and compile shaders
      */
     async init() {
+        this.backendPreference = this.rendering.backend;
+        const backend = await window.RenderBackends.create({
+            preference: this.backendPreference,
+            passes: this.getRequiredPasses()
+        });
+        this.attachBackend(backend);
+        await this.pipeline.load(this.preset);
+
+        return this;
+    }
+
+    /**
+     * Start drawing with a backend: overlay its canvas on the video and
+     * give it a fresh performance governor
+     */
+    attachBackend(backend) {
+        const previousCanvas = this.canvas;
+
+        this.backend = backend;
+        this.pipeline = backend.pipeline;
+        this.pipeline.setUpscaler(this.getUpscaler());
+
+        // Overlay container; OverlayTracker sets its position and size
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.className = 'video-enhance-overlay';
+            this.container.style.cssText = `
+      position: absolute;
+      right: auto;
+      bottom: auto;
+      margin: 0;
+      padding: 0;
+      border: 0;
+      background: transparent;
+      overflow: visible;
+      pointer-events: none;
+    `;
+        }
+
         // Create overlay canvas
-        this.canvas = document.createElement('canvas');
-        this.canvas.className = 'video-enhance-overlay';
+        this.canvas = backend.canvas;
+        this.canvas.className = 'video-enhance-canvas';
         this.canvas.style.cssText = `
-      position: absolute;
-      top: 0;
-      left: 0;
+      display: block;
       width: 100%;
       height: 100%;
-      pointer-events: none;
-      z-index: 1000;
     `;
+        this.updateVisibility();
+
+        if (previousCanvas) {
+            previousCanvas.replaceWith(this.canvas);
+            if (this.onCanvasReplaced) this.onCanvasReplaced(this.canvas);
+        } else {
+            // Position canvas over video
+            this.container.appendChild(this.canvas);
+            this.positionCanvas();
+        }
 
-        // Position canvas over video
-        this.positionCanvas();
+        // Quality steps down when frames run over budget
+        if (this.governor) this.governor.destroy();
+        this.governor = new window.PerformanceGovernor(backend.createTimer(), this.video, () => this.applyPerformanceLevel());
 
-        // Get WebGL context
-        this.gl = this.canvas.getContext('webgl', {
-            alpha: false,
-            antialias: false,
-            depth: false,
-            preserveDrawingBuffer: false,
-            premultipliedAlpha: false
-        });
+        backend.watchContext(() => this.handleContextLost(backend), () => this.handleContextRestored(backend));
+    }
 
-        if (!this.gl) {
-            throw new Error('WebGL not supported');
+    /**
+     * The GPU context went away: show the original video until it's rebuilt
+     */
+    handleContextLost(backend) {
+        if (backend !== this.backend || this.contextLost) return;
+
+        console.warn('[Video Enhance] Render context lost');
+        this.contextLost = true;
+        this.updateVisibility();
+
+        const now = performance.now();
+        this.recoveries = this.recoveries.filter(time => now - time < VideoProcessor.RECOVERY_WINDOW_MS);
+        this.recoveries.push(now);
+        if (this.recoveries.length > VideoProcessor.MAX_RECOVERIES) {
+            this.fail('the GPU context was lost repeatedly');
+            return;
         }
 
-        // Compile shaders
-        await this.compileShaders();
+        // WebGL contexts can come back in place; otherwise (or if it takes too long) start over
+        if (backend.restore) {
+            this.restoreTimer = setTimeout(() => this.rebuildBackend(), VideoProcessor.RESTORE_TIMEOUT_MS);
+        } else {
+            this.rebuildBackend();
+        }
+    }
 
-        // Create texture for video frames
-        this.createTexture();
+    /**
+     * The lost context is usable again: rebuild programs, texture and buffers in it
+     */
+    handleContextRestored(backend) {
+        if (backend !== this.backend || !this.contextLost || !this.restoreTimer) return;
 
-        // Set up geometry (full-screen quad)
-        this.setupGeometry();
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = null;
 
-        return this;
+        try {
+            backend.restore();
+        } catch (e) {
+            this.fail(`the renderer could not be rebuilt (${e.message})`);
+            return;
+        }
+        this.pipeline = backend.pipeline;
+        this.pipeline.setUpscaler(this.getUpscaler());
+        this.finishRecovery(this.pipeline.load(this.preset, this.compare.mode !== 'off' ? ['compare'] : []));
     }
 
     /**
-     * Position canvas to match video element
+     * Replace a lost backend with a newly created one
+     */
+    rebuildBackend() {
+        this.restoreTimer = null;
+        if (!this.backend) return;
+
+        const lost = this.backend;
+        const rebuilt = window.RenderBackends.create({ preference: this.backendPreference, passes: this.getRequiredPasses() })
+            .then(async (backend) => {
+                backend.pipeline.setUpscaler(this.getUpscaler());
+                await backend.pipeline.load(this.preset, this.compare.mode !== 'off' ? ['compare'] : []);
+                if (this.backend !== lost) {
+                    backend.destroy();
+                    return;
+                }
+
+                this.attachBackend(backend);
+                lost.destroy();
+            });
+        this.finishRecovery(rebuilt);
+    }
+
+    /**
+     * Show the overlay again once rebuilding succeeded; give up if it failed
+     */
+    finishRecovery(rebuilding) {
+        rebuilding.then(() => {
+            if (!this.backend || this.failure) return;
+
+            this.contextLost = false;
+            this.updateVisibility();
+            console.log('[Video Enhance] Render context recovered on', this.backend.id);
+            this.requestRedraw();
+        }, e => {
+            this.fail(`the renderer could not be rebuilt (${e.message})`);
+        });
+    }
+
+    /**
+     * The video's frames became unreadable (e.g. its source switched to a
+     * cross-origin URL): stop and let the owner mark the video
+     */
+    handleAccessDenied() {
+        console.warn('[Video Enhance] Video frames are cross-origin; stopping');
+        this.contextLost = true;
+        this.updateVisibility();
+        this.stop();
+        this.options.onAccessDenied?.('cross-origin');
+    }
+
+    /**
+     * Stop rendering for good and leave the original video visible
+     * @param {string} reason - Shown to the user in the popup
+     */
+    fail(reason) {
+        if (this.failure || !this.backend) return;
+
+        console.error('[Video Enhance] Rendering stopped:', reason);
+        this.failure = reason;
+        this.contextLost = true;
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = null;
+        this.updateVisibility();
+        this.stop();
+        this.options.onFailure?.(reason);
+    }
+
+    /**
+     * Passes the backend must support for the current settings
+     */
+    getRequiredPasses() {
+        const passes = window.ShaderPipeline.getPassOrder(this.preset);
+        const upscaler = window.ShaderPipeline.UPSCALERS[this.getUpscaler()];
+
+        if (upscaler) passes.push(upscaler.pass, upscaler.sharpen);
+        if (this.compare.mode !== 'off') passes.push('compare');
+        return passes;
+    }
+
+    /**
+     * Move to another backend when the current one can't run the required
+     * passes, or when the user picked a different backend
+     */
+    checkBackend() {
+        if (!this.backend || this.backendSwitch || this.contextLost) return;
+
+        const required = this.getRequiredPasses();
+        if (this.backend.supportsPasses(required) && this.backendPreference === this.rendering.backend) return;
+
+        // Nothing better available (e.g. only the software backend works)
+        const candidate = window.RenderBackends.pick({ preference: this.rendering.backend, passes: required });
+        if (candidate === this.backend.id && this.backendPreference === this.rendering.backend) return;
+
+        this.backendPreference = this.rendering.backend;
+        this.backendSwitch = window.RenderBackends.create({ preference: this.backendPreference, passes: required })
+            .then(async (backend) => {
+                // Compile before swapping so the old backend keeps drawing meanwhile
+                backend.pipeline.setUpscaler(this.getUpscaler());
+                await backend.pipeline.load(this.preset, this.compare.mode !== 'off' ? ['compare'] : []);
+                if (!this.backend) {
+                    backend.destroy();
+                    return;
+                }
+
+                const previous = this.backend;
+                this.attachBackend(backend);
+                previous.destroy();
+                console.log('[Video Enhance] Switched render backend to', backend.id);
+            })
+            .catch(e => {
+                console.error('[Video Enhance] Failed to switch render backend:', e);
+            })
+            .finally(() => {
+                this.backendSwitch = null;
+                this.requestRedraw();
+            });
+    }
+
+    /**
+     * Place the overlay over the video's picture and keep it there
      */
     positionCanvas() {
-        // Make video parent relative for absolute positioning
-        const parent = this.video.parentElement;
-        if (parent && getComputedStyle(parent).position === 'static') {
-            parent.style.position = 'relative';
-        }
+        this.tracker = new window.OverlayTracker(this.video, this.handleOverlayResize);
+        this.tracker.setControlSelectors(this.options.controlSelectors);
+        this.tracker.attach(this.container);
 
-        // Insert canvas after video
-        this.video.after(this.canvas);
+        // The video's own captions, drawn above the enhanced picture
+        this.captions = new window.CaptionLayer(this.video, this.container);
 
         // Match video dimensions
         this.canvas.width = this.video.videoWidth || 1920;
@@ -82,221 +358,276 @@ class VideoProcessor {
     }
 
     /**
-     * Compile vertex and fragment shaders
+     * The picture changed size on screen
      */
-    async compileShaders() {
-        const gl = this.gl;
+    handleOverlayResize() {
+        // Output size follows the displayed size at screen resolution
+        this.requestRedraw();
+        if (this.captions) this.captions.update();
+    }
 
-        // Vertex shader - simple pass-through
-        const vertexSource = `
-      attribute vec2 a_position;
-      attribute vec2 a_texCoord;
-      varying vec2 v_texCoord;
-      
-      void main() {
-        gl_Position = vec4(a_position, 0.0, 1.0);
-        v_texCoord = a_texCoord;
-      }
-    `;
+    /**
+     * Keep the site's player controls visible above the overlay
+     * @param {string|null} selectors - CSS selector list from the site rule
+     */
+    setControlSelectors(selectors) {
+        if (selectors === this.options.controlSelectors) return;
+        this.options.controlSelectors = selectors;
+        if (this.tracker) this.tracker.setControlSelectors(selectors);
+    }
 
-        // Fragment shader - combined enhancement pipeline
-        const fragmentSource = `
-      precision mediump float;
-      
-      varying vec2 v_texCoord;
-      uniform sampler2D u_texture;
-      uniform vec2 u_resolution;
-      uniform float u_debanding;
-      uniform float u_smoothing;
-      uniform float u_sharpening;
-      uniform float u_time;
-      
-      // Pseudo-random for blue-noise approximation
-      float rand(vec2 co) {
-        return fract(sin(dot(co.xy, vec2(12.9898, 78.233))) * 43758.5453);
-      }
-      
-      // Blue-noise-like dithering pattern
-      float blueNoise(vec2 uv) {
-        float n = rand(uv + u_time * 0.01);
-        n = (n - 0.5) * 2.0; // Range -1 to 1
-        return n;
-      }
-      
-      // Get luminance
-      float getLuma(vec3 color) {
-        return dot(color, vec3(0.299, 0.587, 0.114));
-      }
-      
-      // Bilateral-ish smoothing for block artifacts
-      vec3 smoothPixel(vec2 uv, vec3 centerColor) {
-        vec2 texelSize = 1.0 / u_resolution;
-        float centerLuma = getLuma(centerColor);
-        
-        vec3 sum = centerColor;
-        float weightSum = 1.0;
-        
-        // Sample 8 neighbors
-        for (float x = -1.0; x <= 1.0; x += 1.0) {
-          for (float y = -1.0; y <= 1.0; y += 1.0) {
-            if (x == 0.0 && y == 0.0) continue;
-            
-            vec2 offset = vec2(x, y) * texelSize;
-            vec3 sampleColor = texture2D(u_texture, uv + offset).rgb;
-            float sampleLuma = getLuma(sampleColor);
-            
-            // Edge-aware weight
-            float lumaDiff = abs(centerLuma - sampleLuma);
-            float weight = exp(-lumaDiff * 10.0) * 0.5;
-            
-            sum += sampleColor * weight;
-            weightSum += weight;
-          }
-        }
-        
-        return sum / weightSum;
-      }
-      
-      // Contrast-adaptive sharpening
-      vec3 sharpen(vec2 uv, vec3 color) {
-        vec2 texelSize = 1.0 / u_resolution;
-        
-        // Sample neighbors
-        vec3 up = texture2D(u_texture, uv + vec2(0.0, -texelSize.y)).rgb;
-        vec3 down = texture2D(u_texture, uv + vec2(0.0, texelSize.y)).rgb;
-        vec3 left = texture2D(u_texture, uv + vec2(-texelSize.x, 0.0)).rgb;
-        vec3 right = texture2D(u_texture, uv + vec2(texelSize.x, 0.0)).rgb;
-        
-        // Unsharp mask
-        vec3 neighbors = (up + down + left + right) * 0.25;
-        vec3 sharpened = color + (color - neighbors) * u_sharpening;
-        
-        // Reduce sharpening on already-sharp edges
-        float edgeStrength = length(color - neighbors);
-        float adaptive = 1.0 - min(edgeStrength * 2.0, 0.5);
-        
-        return mix(color, sharpened, adaptive);
-      }
-      
-      void main() {
-        vec4 texColor = texture2D(u_texture, v_texCoord);
-        vec3 color = texColor.rgb;
-        
-        // Step 1: Debanding with blue-noise dithering
-        if (u_debanding > 0.0) {
-          float noise = blueNoise(v_texCoord * u_resolution) * u_debanding * 0.02;
-          color += noise;
-        }
-        
-        // Step 2: Gentle smoothing for block artifacts
-        if (u_smoothing > 0.0) {
-          vec3 smoothed = smoothPixel(v_texCoord, color);
-          color = mix(color, smoothed, u_smoothing * 0.5);
-        }
-        
-        // Step 3: Contrast-adaptive sharpening
-        if (u_sharpening > 0.0) {
-          color = sharpen(v_texCoord, color);
+    /**
+     * Update preset parameters
+     * @param {Object} preset - New preset
+     * @param {Object} options - { transition: ms to cross-fade from the current parameters }
+     */
+    setPreset(preset, options = {}) {
+        const duration = options.transition || 0;
+        this.transition = duration > 0
+            ? { from: this.getCurrentPreset(), start: performance.now(), duration }
+            : null;
+        this.preset = preset;
+
+        // Compile any passes the new preset adds; they join the chain once ready
+        if (this.pipeline) {
+            this.pipeline.load(preset).then(this.requestRedraw, e => {
+                console.error('[Video Enhance] Failed to load shader passes:', e);
+            });
+            this.checkBackend();
         }
-        
-        // Clamp to valid range
-        color = clamp(color, 0.0, 1.0);
-        
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `;
+        this.requestRedraw();
+    }
 
-        // Compile vertex shader
-        const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-        gl.shaderSource(vertexShader, vertexSource);
-        gl.compileShader(vertexShader);
+    /**
+     * Update render resolution settings
+     * @param {Object} rendering - { resolution: 'video' | 'display', upscaler: 'easu' | 'lanczos',
+     *                               backend: 'auto' | 'webgpu' | 'webgl2' | 'webgl',
+     *                               matrix: 'auto' | 'bt601' | 'bt709', expandRange, linearLight }
+     */
+    setRendering(rendering) {
+        this.rendering = { ...this.rendering, ...rendering };
+        if (!this.pipeline) return;
 
-        if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-            throw new Error('Vertex shader compile error: ' + gl.getShaderInfoLog(vertexShader));
-        }
+        this.pipeline.setUpscaler(this.getUpscaler());
+        this.pipeline.load(this.preset).then(this.requestRedraw, e => {
+            console.error('[Video Enhance] Failed to load upscaler:', e);
+        });
+        this.checkBackend();
+    }
 
-        // Compile fragment shader
-        const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-        gl.shaderSource(fragmentShader, fragmentSource);
-        gl.compileShader(fragmentShader);
+    /**
+     * Upscaler to use, or null when rendering at video resolution
+     */
+    getUpscaler() {
+        if (this.governor?.getSettings().upscale === false) return null;
+        return this.rendering.resolution === 'display' ? this.rendering.upscaler : null;
+    }
 
-        if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-            throw new Error('Fragment shader compile error: ' + gl.getShaderInfoLog(fragmentShader));
-        }
+    /**
+     * React to the performance governor changing level
+     */
+    applyPerformanceLevel() {
+        this.pipeline.setUpscaler(this.getUpscaler());
+        this.checkBackend();
+        this.requestRedraw();
+    }
 
-        // Link program
-        this.program = gl.createProgram();
-        gl.attachShader(this.program, vertexShader);
-        gl.attachShader(this.program, fragmentShader);
-        gl.linkProgram(this.program);
+    /**
+     * Throttle a video that isn't the focus of the page to the lowest level
+     * @param {boolean} background - True when another video has focus
+     */
+    setBackground(background) {
+        if (!this.governor) return;
+        this.governor.setFloor(background ? window.PerformanceGovernor.LEVELS.length - 1 : 0);
+    }
 
-        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
-            throw new Error('Program link error: ' + gl.getProgramInfoLog(this.program));
+    /**
+     * Size the passes run at before any upscaling
+     * @returns {number[]} [width, height]
+     */
+    getProcessingSize() {
+        const width = this.video.videoWidth || 1920;
+        const height = this.video.videoHeight || 1080;
+        let scale = this.governor?.getSettings().scale || 1;
+
+        // Some backends (software) only handle small frames
+        if (this.backend?.maxPixels) {
+            scale = Math.min(scale, Math.sqrt(this.backend.maxPixels / (width * height)));
         }
 
-        gl.useProgram(this.program);
+        return [
+            Math.max(1, Math.round(width * scale)),
+            Math.max(1, Math.round(height * scale))
+        ];
+    }
+
+    /**
+     * Size of the canvas backing store
+     * At display resolution this is the video's on-screen size in device
+     * pixels (aspect preserved), but never smaller than the video itself:
+     * downscaling is left to the browser.
+     * @returns {number[]} [width, height]
+     */
+    getOutputSize() {
+        // The software pipeline leaves upscaling to the browser
+        if (!this.getUpscaler() || !this.pipeline?.upscaler) return this.getProcessingSize();
+
+        const width = this.video.videoWidth || 1920;
+        const height = this.video.videoHeight || 1080;
+
+        // Picture size on screen, letterboxing excluded
+        const box = this.tracker?.box;
+        const fit = box ? box.width / width : Math.min(this.video.clientWidth / width, this.video.clientHeight / height);
+        const limit = Math.sqrt(VideoProcessor.MAX_OUTPUT_PIXELS / (width * height));
+        const scale = Math.min(fit * (window.devicePixelRatio || 1), limit);
+        if (!(scale > 1)) return [width, height];
+
+        return [Math.round(width * scale), Math.round(height * scale)];
     }
 
     /**
-     * Create texture for video frames
+     * Get the parameters to render with, blending during a preset transition
      */
-    createTexture() {
-        const gl = this.gl;
+    getCurrentPreset() {
+        const transition = this.transition;
+        if (!transition) return this.preset;
+
+        const progress = Math.min(1, (performance.now() - transition.start) / transition.duration);
+        if (progress >= 1) {
+            this.transition = null;
+            return this.preset;
+        }
 
-        this.texture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        // Smoothstep easing; passes only the old preset used keep running while they fade out
+        const eased = progress * progress * (3 - 2 * progress);
+        const from = transition.from;
+        const order = this.pipeline ? this.pipeline.getPassOrder(this.preset) : [];
+        const fading = this.pipeline ? this.pipeline.getPassOrder(from).filter(name => !order.includes(name)) : [];
+        const blended = { ...this.preset, passes: [...order, ...fading] };
 
-        // Set texture parameters
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        for (const key of VideoProcessor.BLEND_PARAMS) {
+            const start = from[key] || 0;
+            blended[key] = start + ((this.preset[key] || 0) - start) * eased;
+        }
+        return blended;
     }
 
     /**
-     * Set up full-screen quad geometry
+     * Switch comparison mode
+     * @param {string} mode - 'off', 'split' (draggable divider) or 'magnifier'
      */
-    setupGeometry() {
-        const gl = this.gl;
+    setCompareMode(mode) {
+        if (!(mode in VideoProcessor.COMPARE_MODES) || !this.container) return;
+
+        this.compare.mode = mode;
+        if (mode !== 'off') {
+            this.pipeline.load(this.preset, ['compare']).then(this.requestRedraw, e => {
+                console.error('[Video Enhance] Failed to load compare pass:', e);
+            });
+            this.checkBackend();
+        }
+        this.requestRedraw();
+
+        // Divider handle for split mode
+        if (mode === 'split' && !this.divider) {
+            this.createDivider();
+        } else if (mode !== 'split' && this.divider) {
+            this.divider.remove();
+            this.divider = null;
+        }
 
-        // Position buffer (clip space)
-        const positions = new Float32Array([
-            -1, -1,
-            1, -1,
-            -1, 1,
-            1, 1
-        ]);
+        // Magnifier follows the pointer over the player
+        const parent = this.container.parentElement;
+        if (parent) {
+            parent.removeEventListener('pointermove', this.handlePointerMove);
+            if (mode === 'magnifier') {
+                parent.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+            }
+        }
+    }
 
-        const positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    /**
+     * Temporarily show the untouched video (hold-to-compare)
+     */
+    setShowOriginal(show) {
+        this.showOriginal = show;
+        this.updateVisibility();
+    }
 
-        const positionLoc = gl.getAttribLocation(this.program, 'a_position');
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+    /**
+     * Hide the overlay while the original is shown or the context is lost
+     */
+    updateVisibility() {
+        const hidden = this.showOriginal || this.contextLost;
+        if (this.container) this.container.style.visibility = hidden ? 'hidden' : '';
+    }
 
-        // Texture coordinate buffer
-        const texCoords = new Float32Array([
-            0, 1,
-            1, 1,
-            0, 0,
-            1, 0
-        ]);
+    /**
+     * Create the draggable split-screen divider
+     * The canvas ignores pointer events, so the handle is its own element
+     */
+    createDivider() {
+        const divider = document.createElement('div');
+        divider.className = 'video-enhance-divider';
+        divider.style.cssText = `
+      position: absolute;
+      top: 0;
+      height: 100%;
+      width: 16px;
+      margin-left: -8px;
+      cursor: ew-resize;
+      touch-action: none;
+      pointer-events: auto;
+      z-index: 1001;
+    `;
+        divider.style.left = `${this.compare.split * 100}%`;
 
-        const texCoordBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, texCoords, gl.STATIC_DRAW);
+        const knob = document.createElement('div');
+        knob.style.cssText = `
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      width: 14px;
+      height: 28px;
+      margin: -14px 0 0 -7px;
+      border-radius: 7px;
+      background: rgba(255, 255, 255, 0.9);
+      box-shadow: 0 0 4px rgba(0, 0, 0, 0.5);
+    `;
+        divider.appendChild(knob);
 
-        const texCoordLoc = gl.getAttribLocation(this.program, 'a_texCoord');
-        gl.enableVertexAttribArray(texCoordLoc);
-        gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+        divider.addEventListener('pointerdown', (e) => {
+            divider.setPointerCapture(e.pointerId);
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        divider.addEventListener('pointermove', (e) => {
+            if (!divider.hasPointerCapture(e.pointerId)) return;
+            const rect = this.canvas.getBoundingClientRect();
+            this.compare.split = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+            divider.style.left = `${this.compare.split * 100}%`;
+            this.requestRedraw();
+        });
+
+        // Keep drags from reaching the site's player (play/pause on click)
+        divider.addEventListener('click', (e) => e.stopPropagation());
+
+        this.container.appendChild(divider);
+        this.divider = divider;
     }
 
     /**
-     * Update preset parameters
+     * Track the magnifier focus point in texture coordinates
      */
-    setPreset(preset) {
-        this.preset = preset;
+    handlePointerMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        this.compare.focus = [
+            Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+            Math.min(1, Math.max(0, 1 - (e.clientY - rect.top) / rect.height))
+        ];
+        this.requestRedraw();
     }
 
     /**
@@ -306,7 +637,13 @@ class VideoProcessor {
         if (this.isProcessing) return;
 
         this.isProcessing = true;
-        this.processFrame();
+        this.video.addEventListener('seeked', this.requestRedraw);
+        this.video.addEventListener('seeking', this.handleDiscontinuity);
+        this.video.addEventListener('emptied', this.handleDiscontinuity);
+        // History from before a stop doesn't match what plays now
+        this.handleDiscontinuity();
+        this.scheduleFrame();
+        this.requestRedraw();
         console.log('[Video Enhance] Processing started');
     }
 
@@ -315,47 +652,225 @@ class VideoProcessor {
      */
     stop() {
         this.isProcessing = false;
+        this.video.removeEventListener('seeked', this.requestRedraw);
+        this.video.removeEventListener('seeking', this.handleDiscontinuity);
+        this.video.removeEventListener('emptied', this.handleDiscontinuity);
+        this.cancelFrame();
+        if (this.redrawId) {
+            cancelAnimationFrame(this.redrawId);
+            this.redrawId = null;
+        }
+        console.log('[Video Enhance] Processing stopped');
+    }
+
+    /**
+     * Wait for the next video frame
+     * Falls back to requestAnimationFrame where requestVideoFrameCallback is missing
+     */
+    scheduleFrame() {
+        this.animationClock = this.frameClock;
+        if (this.frameClock) {
+            this.animationId = this.frameClock.request(this.handleAnimationFrame);
+        } else if (typeof this.video.requestVideoFrameCallback === 'function') {
+            this.frameCallbackId = this.video.requestVideoFrameCallback(this.handleVideoFrame);
+        } else {
+            this.animationId = requestAnimationFrame(this.handleAnimationFrame);
+        }
+    }
+
+    /**
+     * Cancel the pending frame callback, whichever clock it is on
+     */
+    cancelFrame() {
+        if (this.frameCallbackId !== null) {
+            this.video.cancelVideoFrameCallback(this.frameCallbackId);
+            this.frameCallbackId = null;
+        }
         if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+            if (this.animationClock) {
+                this.animationClock.cancel(this.animationId);
+            } else {
+                cancelAnimationFrame(this.animationId);
+            }
             this.animationId = null;
         }
-        console.log('[Video Enhance] Processing stopped');
+    }
+
+    /**
+     * Drive frames from another clock, e.g. a Picture-in-Picture window whose
+     * animation frames keep running while this tab is hidden
+     * @param {Object|null} clock - { request(callback) returns id, cancel(id) }; null restores the default
+     */
+    setFrameClock(clock) {
+        this.cancelFrame();
+        this.frameClock = clock;
+        if (this.isProcessing) this.scheduleFrame();
+    }
+
+    /**
+     * A new frame was presented (requestVideoFrameCallback)
+     */
+    handleVideoFrame() {
+        this.frameCallbackId = null;
+        if (!this.isProcessing) return;
+
+        this.processFrame();
+        this.scheduleFrame();
+    }
+
+    /**
+     * Fallback loop: only draw when the playback position moved
+     */
+    handleAnimationFrame() {
+        this.animationId = null;
+        if (!this.isProcessing) return;
+
+        if (this.video.currentTime !== this.lastFrameTime) {
+            this.processFrame();
+        }
+        this.scheduleFrame();
+    }
+
+    /**
+     * The next frame doesn't follow the last one (seek or new source), so the
+     * temporal pass starts over from it
+     */
+    handleDiscontinuity() {
+        if (this.pipeline) this.pipeline.resetHistory();
+    }
+
+    /**
+     * Redraw the current frame on the next animation frame
+     * Used for seeks while paused and for setting changes
+     */
+    requestRedraw() {
+        if (!this.isProcessing || this.redrawId) return;
+
+        this.redrawId = requestAnimationFrame(() => {
+            this.redrawId = null;
+            if (this.isProcessing) this.processFrame();
+        });
+    }
+
+    /**
+     * Artifact measurements from the quality estimator (re-sampled at most
+     * every 2 seconds), or null when no pass in the preset uses them
+     */
+    measureArtifacts(preset) {
+        if (!(preset.debanding > 0 || preset.deblocking > 0) || !window.VideoQualityEstimator) return null;
+        return window.VideoQualityEstimator.measureArtifacts(this.video);
+    }
+
+    /**
+     * Quantization step the debanding dither spans, in 8-bit levels
+     * One level when no bands could be measured
+     */
+    getQuantStep(artifacts) {
+        return (artifacts && artifacts.quantStep) || 1;
+    }
+
+    /**
+     * Deblocking strength: the preset's, scaled by the measured blockiness
+     * Full strength when blockiness can't be measured (e.g. cross-origin frames)
+     */
+    getDeblocking(preset, artifacts) {
+        const strength = preset.deblocking || 0;
+        if (!strength || !artifacts || artifacts.blockiness === null) return strength;
+        const scale = VideoProcessor.DEBLOCK_FLOOR +
+            (1 - VideoProcessor.DEBLOCK_FLOOR) * artifacts.blockiness / VideoProcessor.BLOCKINESS_FULL;
+        return strength * Math.min(1, scale);
+    }
+
+    /**
+     * Colour matrix whose luma coefficients the passes use
+     * 'auto' takes the matrix the stream declares and otherwise goes by
+     * resolution, as players do: HD is BT.709, SD is BT.601.
+     * @returns {string} Key of LUMA_WEIGHTS
+     */
+    getColorMatrix() {
+        if (VideoProcessor.LUMA_WEIGHTS[this.rendering.matrix]) return this.rendering.matrix;
+
+        // Read once per source and size; it only changes with the stream
+        const video = this.video;
+        const key = `${video.currentSrc}|${video.videoWidth}x${video.videoHeight}`;
+        if (this.colorSpaceKey !== key) {
+            this.colorSpaceKey = key;
+            this.colorSpace = window.VideoAccess.readColorSpace(video);
+        }
+
+        const declared = VideoProcessor.COLOR_SPACE_MATRICES[this.colorSpace?.matrix];
+        if (declared) return declared;
+        return video.videoHeight >= VideoProcessor.HD_HEIGHT ? 'bt709' : 'bt601';
     }
 
     /**
      * Process a single frame
      */
     processFrame() {
-        if (!this.isProcessing) return;
+        // Nothing can be drawn until the backend is rebuilt
+        if (this.contextLost) return;
 
-        const gl = this.gl;
         const video = this.video;
 
-        // Update canvas size if video size changed
-        if (this.canvas.width !== video.videoWidth || this.canvas.height !== video.videoHeight) {
-            this.canvas.width = video.videoWidth || 1920;
-            this.canvas.height = video.videoHeight || 1080;
-            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        // Update canvas size if the video or its on-screen size changed
+        const [outputWidth, outputHeight] = this.getOutputSize();
+        if (this.canvas.width !== outputWidth || this.canvas.height !== outputHeight) {
+            this.canvas.width = outputWidth;
+            this.canvas.height = outputHeight;
         }
+        const [width, height] = this.getProcessingSize();
+        this.pipeline.resize(width, height, outputWidth, outputHeight);
 
-        // Upload video frame to texture
+        // Hand the current video frame to the backend
         if (video.readyState >= video.HAVE_CURRENT_DATA) {
-            gl.bindTexture(gl.TEXTURE_2D, this.texture);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
-
-            // Set uniforms
-            gl.uniform2f(gl.getUniformLocation(this.program, 'u_resolution'), this.canvas.width, this.canvas.height);
-            gl.uniform1f(gl.getUniformLocation(this.program, 'u_debanding'), this.preset.debanding || 0);
-            gl.uniform1f(gl.getUniformLocation(this.program, 'u_smoothing'), this.preset.smoothing || 0);
-            gl.uniform1f(gl.getUniformLocation(this.program, 'u_sharpening'), this.preset.sharpening || 0);
-            gl.uniform1f(gl.getUniformLocation(this.program, 'u_time'), performance.now() * 0.001);
-
-            // Draw
-            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            let source;
+            try {
+                source = this.backend.uploadFrame(video);
+            } catch (e) {
+                if (e.name !== 'SecurityError') throw e;
+                this.handleAccessDenied();
+                return;
+            }
+            this.lastFrameTime = video.currentTime;
+
+            // Run the pass chain, limited by the current performance level
+            const performanceLevel = this.governor.getSettings();
+            // Range expansion is a render setting, not part of the preset
+            let preset = { ...this.getCurrentPreset(), expandRange: this.rendering.expandRange };
+            if (performanceLevel.maxPasses) {
+                preset = { ...preset, passes: this.pipeline.getActivePasses(preset).slice(0, performanceLevel.maxPasses) };
+            }
+
+            const compare = this.compare;
+            const artifacts = this.measureArtifacts(preset);
+            this.noiseOffset = (this.noiseOffset + VideoProcessor.NOISE_STEP) % 1;
+            this.governor.beginFrame();
+            this.pipeline.setFrameTime(video.currentTime);
+            this.pipeline.render(source, preset, {
+                u_denoising: preset.denoising || 0,
+                u_deblocking: this.getDeblocking(preset, artifacts),
+                u_videoSize: [video.videoWidth, video.videoHeight],
+                u_debanding: preset.debanding || 0,
+                u_smoothing: preset.smoothing || 0,
+                u_reducedTaps: performanceLevel.reducedTaps ? 1 : 0,
+                u_sharpening: preset.sharpening || 0,
+                u_quantStep: this.getQuantStep(artifacts) / 255,
+                u_debandRadius: preset.debandRadius ?? VideoProcessor.DEBAND_DEFAULTS.debandRadius,
+                u_debandThreshold: preset.debandThreshold ?? VideoProcessor.DEBAND_DEFAULTS.debandThreshold,
+                u_debandIterations: preset.debandIterations ?? VideoProcessor.DEBAND_DEFAULTS.debandIterations,
+                u_noiseOffset: this.noiseOffset,
+                u_lumaWeights: VideoProcessor.LUMA_WEIGHTS[this.getColorMatrix()],
+                u_linearLight: this.rendering.linearLight ? 1 : 0,
+                u_compareMode: VideoProcessor.COMPARE_MODES[compare.mode],
+                u_split: compare.split,
+                u_focus: compare.focus,
+                u_zoom: compare.zoom
+            }, compare.mode !== 'off' ? 'compare' : null);
+            this.governor.endFrame();
         }
 
-        // Schedule next frame
-        this.animationId = requestAnimationFrame(() => this.processFrame());
+        // Keep a cross-fade moving even when no new frames arrive (paused video)
+        if (this.transition) this.requestRedraw();
     }
 
     /**
@@ -363,20 +878,37 @@ class VideoProcessor {
      */
     destroy() {
         this.stop();
+        this.setCompareMode('off');
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = null;
+
+        if (this.tracker) {
+            this.tracker.destroy();
+        }
+
+        if (this.captions) {
+            this.captions.destroy();
+        }
+
+        if (this.container && this.container.parentElement) {
+            this.container.remove();
+        }
 
-        if (this.canvas && this.canvas.parentElement) {
-            this.canvas.remove();
+        if (this.backend) {
+            this.backend.destroy();
         }
 
-        if (this.gl) {
-            this.gl.deleteTexture(this.texture);
-            this.gl.deleteProgram(this.program);
+        if (this.governor) {
+            this.governor.destroy();
         }
 
         this.canvas = null;
-        this.gl = null;
-        this.program = null;
-        this.texture = null;
+        this.container = null;
+        this.tracker = null;
+        this.captions = null;
+        this.governor = null;
+        this.backend = null;
+        this.pipeline = null;
 
         console.log('[Video Enhance] Processor destroyed');
     }
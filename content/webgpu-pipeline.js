@@ -0,0 +1,347 @@
+// WebGPU Pipeline - The shader pipeline on WebGPU
+// Uses the same pass registry and render plan as ShaderPipeline, with the WGSL
+// ports in shaders/wgsl/. Video frames come in through importExternalTexture,
+// so there is no CPU-side upload.
+
+class WebGPUPipeline extends ShaderPipeline {
+    // Prepended to every pass (bindings, uniforms, vertex stage)
+    static COMMON_SOURCE = 'shaders/wgsl/common.wgsl';
+
+    // Copies the external video texture into the source texture
+    static IMPORT_SOURCE = 'shaders/wgsl/import.wgsl';
+
+    // Float offset of each uniform in the Uniforms struct (see common.wgsl)
+    static UNIFORM_LAYOUT = {
+        u_resolution: 0,
+        u_focus: 2,
+        u_debanding: 4,
+        u_smoothing: 5,
+        u_sharpening: 6,
+        u_noiseOffset: 7,
+        u_compareMode: 8,
+        u_split: 9,
+        u_zoom: 10,
+        u_reducedTaps: 11,
+        u_quantStep: 12,
+        u_debandRadius: 13,
+        u_debandThreshold: 14,
+        u_debandIterations: 15,
+        u_videoSize: 16,
+        u_deblocking: 18,
+        u_denoising: 19,
+        u_hasHistory: 20,
+        u_targetSize: 22,
+        u_lumaWeights: 24,
+        u_linearLight: 27
+    };
+
+    // vec3f fields start on a 16-byte boundary, and the struct's size rounds
+    // up to a multiple of that alignment
+    static UNIFORM_FLOATS = 28;
+
+    // Intermediate targets keep more precision than the 8-bit canvas
+    static INTERMEDIATE_FORMAT = 'rgba16float';
+
+    /**
+     * @param {GPUDevice} device - Device to render with
+     * @param {GPUCanvasContext} context - Configured canvas context
+     * @param {string} format - Canvas texture format
+     */
+    constructor(device, context, format) {
+        super(null);
+        this.device = device;
+        this.context = context;
+        this.format = format;
+        this.sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+        this.uniformBuffers = [];
+        this.source = null;
+        this.importPipeline = null;
+
+        const visibility = GPUShaderStage.FRAGMENT;
+        this.bindGroupLayout = device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility, sampler: {} },
+                { binding: 1, visibility, texture: {} },
+                { binding: 2, visibility, texture: {} },
+                { binding: 3, visibility, buffer: {} },
+                { binding: 4, visibility, texture: {} },
+                { binding: 5, visibility, texture: {} }
+            ]
+        });
+        this.pipelineLayout = device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] });
+        this.noise = this.createNoiseTexture();
+    }
+
+    /**
+     * Upload the blue-noise tile (content/blue-noise.js) used for dithering
+     */
+    createNoiseTexture() {
+        const size = window.BlueNoise.SIZE;
+        const texture = this.device.createTexture({
+            size: [size, size],
+            format: 'r8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        this.device.queue.writeTexture({ texture }, window.BlueNoise.get(), { bytesPerRow: size }, [size, size]);
+        return { texture, view: texture.createView() };
+    }
+
+    /**
+     * Check that every named pass has a WGSL port
+     */
+    supportsPasses(names) {
+        return names.every(name => Boolean(ShaderPipeline.PASSES[name]?.wgsl));
+    }
+
+    /**
+     * Load and compile the WGSL passes a preset may use
+     * Passes without a WGSL port are skipped (see supportsPasses)
+     */
+    async load(preset, extraPasses = []) {
+        const upscaler = ShaderPipeline.UPSCALERS[this.upscaler];
+        const upscalePasses = upscaler ? [upscaler.pass, upscaler.sharpen] : [];
+        const names = [...new Set([...this.getPassOrder(preset), ...upscalePasses, ...extraPasses, 'copy'])]
+            .filter(name => !this.programs.has(name) && this.supportsPasses([name]));
+
+        const [commonSource, importSource, ...passSources] = await Promise.all([
+            ShaderPipeline.loadSource(WebGPUPipeline.COMMON_SOURCE),
+            ShaderPipeline.loadSource(WebGPUPipeline.IMPORT_SOURCE),
+            ...names.map(name => ShaderPipeline.loadSource(ShaderPipeline.PASSES[name].wgsl))
+        ]);
+
+        // The device may have been destroyed while sources were loading
+        if (!this.device) return this;
+
+        if (!this.importPipeline) {
+            this.importPipeline = this.createRenderPipeline(importSource, 'auto', 'rgba8unorm');
+        }
+
+        names.forEach((name, index) => {
+            if (this.programs.has(name)) return;
+
+            this.programs.set(name, {
+                module: this.device.createShaderModule({ label: name, code: `${commonSource}\n${passSources[index]}` }),
+                pipelines: new Map()
+            });
+        });
+
+        return this;
+    }
+
+    /**
+     * Build a render pipeline drawing one full-screen triangle
+     */
+    createRenderPipeline(code, layout, format) {
+        const module = typeof code === 'string' ? this.device.createShaderModule({ code }) : code;
+        return this.device.createRenderPipeline({
+            layout,
+            vertex: { module, entryPoint: 'vs_main' },
+            fragment: { module, entryPoint: 'fs_main', targets: [{ format }] },
+            primitive: { topology: 'triangle-list' }
+        });
+    }
+
+    /**
+     * Render pipeline for a pass and target format, created on first use
+     */
+    getRenderPipeline(program, format) {
+        if (!program.pipelines.has(format)) {
+            program.pipelines.set(format, this.createRenderPipeline(program.module, this.pipelineLayout, format));
+        }
+        return program.pipelines.get(format);
+    }
+
+    /**
+     * Create a render target texture
+     */
+    createTarget(width, height) {
+        const texture = this.device.createTexture({
+            size: [width, height],
+            format: WebGPUPipeline.INTERMEDIATE_FORMAT,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+        });
+        return { texture, view: texture.createView() };
+    }
+
+    /**
+     * Copy the current video frame into the source texture
+     * @param {HTMLVideoElement} video - Video with a decoded frame
+     * @returns {GPUTextureView} Source view to pass to render()
+     */
+    importFrame(video) {
+        const device = this.device;
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+
+        if (!this.source || this.source.width !== width || this.source.height !== height) {
+            this.source?.texture.destroy();
+            const texture = device.createTexture({
+                size: [width, height],
+                format: 'rgba8unorm',
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+            });
+            this.source = { texture, view: texture.createView(), width, height };
+        }
+
+        const bindGroup = device.createBindGroup({
+            layout: this.importPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: this.sampler },
+                { binding: 1, resource: device.importExternalTexture({ source: video }) }
+            ]
+        });
+
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginRenderPass({
+            colorAttachments: [{ view: this.source.view, loadOp: 'clear', storeOp: 'store' }]
+        });
+        pass.setPipeline(this.importPipeline);
+        pass.setBindGroup(0, bindGroup);
+        pass.draw(3);
+        pass.end();
+        device.queue.submit([encoder.finish()]);
+
+        return this.source.view;
+    }
+
+    /**
+     * Run the render plan; the last step draws to the canvas
+     * @param {GPUTextureView} source - View returned by importFrame
+     */
+    render(source, preset, uniforms, composite = null) {
+        const device = this.device;
+        const encoder = device.createCommandEncoder();
+        const plan = this.getRenderPlan(preset, composite);
+        let input = source;
+
+        if (!plan.some(step => step.temporal)) this.resetHistory();
+
+        plan.forEach((step, index) => {
+            let target = step.target;
+            let stepUniforms = uniforms;
+            // Passes without history still need something bound there
+            let history = source;
+
+            if (step.temporal) {
+                const targets = this.getHistory(step.width, step.height);
+                target = targets.write;
+                history = targets.read.view;
+                stepUniforms = { ...uniforms, u_hasHistory: targets.valid ? 1 : 0 };
+            }
+
+            const buffer = this.getUniformBuffer(index);
+            device.queue.writeBuffer(buffer, 0, this.packUniforms({
+                ...stepUniforms,
+                u_resolution: step.inputSize,
+                u_targetSize: [step.width, step.height]
+            }));
+
+            const bindGroup = device.createBindGroup({
+                layout: this.bindGroupLayout,
+                entries: [
+                    { binding: 0, resource: this.sampler },
+                    { binding: 1, resource: input },
+                    { binding: 2, resource: source },
+                    { binding: 3, resource: { buffer } },
+                    { binding: 4, resource: this.noise.view },
+                    { binding: 5, resource: history }
+                ]
+            });
+
+            const view = target ? target.view : this.context.getCurrentTexture().createView();
+            const pass = encoder.beginRenderPass({
+                colorAttachments: [{ view, loadOp: 'clear', storeOp: 'store' }]
+            });
+            pass.setPipeline(this.getRenderPipeline(step.program, target ? WebGPUPipeline.INTERMEDIATE_FORMAT : this.format));
+            pass.setBindGroup(0, bindGroup);
+            pass.draw(3);
+            pass.end();
+
+            if (target) input = target.view;
+        });
+
+        device.queue.submit([encoder.finish()]);
+    }
+
+    /**
+     * Uniform buffer for the pass at a position in the plan
+     */
+    getUniformBuffer(index) {
+        if (!this.uniformBuffers[index]) {
+            this.uniformBuffers[index] = this.device.createBuffer({
+                size: WebGPUPipeline.UNIFORM_FLOATS * 4,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+        }
+        return this.uniformBuffers[index];
+    }
+
+    /**
+     * Lay uniform values out as the Uniforms struct; unknown names are ignored
+     */
+    packUniforms(uniforms) {
+        const data = new Float32Array(WebGPUPipeline.UNIFORM_FLOATS);
+
+        for (const [name, value] of Object.entries(uniforms)) {
+            const offset = WebGPUPipeline.UNIFORM_LAYOUT[name];
+            if (offset === undefined) continue;
+
+            if (Array.isArray(value)) {
+                data.set(value, offset);
+            } else {
+                data[offset] = value;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Destroy the history targets
+     */
+    deleteHistory() {
+        for (const target of this.history) {
+            target.texture.destroy();
+        }
+        this.history = [];
+        this.historySize = null;
+        this.resetHistory();
+    }
+
+    /**
+     * Destroy the render targets
+     */
+    deleteTargets() {
+        for (const target of new Set([...this.targets, ...this.outputTargets])) {
+            target.texture.destroy();
+        }
+        this.deleteHistory();
+        this.targets = [];
+        this.outputTargets = [];
+        this.width = 0;
+        this.height = 0;
+        this.outputWidth = 0;
+        this.outputHeight = 0;
+    }
+
+    /**
+     * Clean up GPU resources (the device itself belongs to the backend)
+     */
+    destroy() {
+        if (!this.device) return;
+
+        this.deleteTargets();
+        this.source?.texture.destroy();
+        this.noise.texture.destroy();
+        this.uniformBuffers.forEach(buffer => buffer.destroy());
+
+        this.programs.clear();
+        this.uniformBuffers = [];
+        this.source = null;
+        this.noise = null;
+        this.importPipeline = null;
+        this.device = null;
+    }
+}
+
+// Make available globally
+window.WebGPUPipeline = WebGPUPipeline;
@@ -1,22 +1,86 @@
 // Popup Script - Handles UI interactions and state
 
+// Display names for the render backends content scripts report
+const BACKEND_LABELS = { webgpu: 'WebGPU', webgl2: 'WebGL2', webgl: 'WebGL', cpu: 'Software' };
+
+// Why a video isn't processed (see content/video-access.js)
+const ACCESS_LABELS = { drm: 'DRM-protected', 'cross-origin': 'cross-origin (no CORS)', hdr: 'HDR (the overlay would clip it)' };
+
+// Colour matrix names (see VideoProcessor.LUMA_WEIGHTS)
+const MATRIX_LABELS = { bt601: 'BT.601', bt709: 'BT.709', bt2020: 'BT.2020' };
+
+// Host shown for a frame's origin; sandboxed and blank frames have none
+function getOriginHost(origin) {
+    try {
+        return new URL(origin).host || 'embedded page';
+    } catch (e) {
+        return 'embedded page';
+    }
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     const enableToggle = document.getElementById('enableToggle');
     const statusIndicator = document.getElementById('statusIndicator');
     const statusText = document.getElementById('statusText');
     const qualityFill = document.getElementById('qualityFill');
     const qualityValue = document.getElementById('qualityValue');
+    const autoInfo = document.getElementById('autoInfo');
+    const analysisList = document.getElementById('analysisList');
+    const compareModes = document.getElementById('compareModes');
+    const performanceInfo = document.getElementById('performanceInfo');
+    const accessInfo = document.getElementById('accessInfo');
+    const frameInfo = document.getElementById('frameInfo');
+    const renderWarning = document.getElementById('renderWarning');
     const presetGrid = document.getElementById('presetGrid');
+    const newPresetBtn = document.getElementById('newPresetBtn');
+    const duplicatePresetBtn = document.getElementById('duplicatePresetBtn');
+    const editPresetBtn = document.getElementById('editPresetBtn');
+    const deletePresetBtn = document.getElementById('deletePresetBtn');
+    const presetEditor = document.getElementById('presetEditor');
+    const presetName = document.getElementById('presetName');
+    const cancelEditBtn = document.getElementById('cancelEditBtn');
+    const sliders = presetEditor.querySelectorAll('input[type="range"]');
+    const siteHost = document.getElementById('siteHost');
+    const siteRuleBadge = document.getElementById('siteRuleBadge');
+    const rememberSiteBtn = document.getElementById('rememberSiteBtn');
+    const siteRuleList = document.getElementById('siteRuleList');
+    const siteRuleForm = document.getElementById('siteRuleForm');
+    const siteRulePattern = document.getElementById('siteRulePattern');
+    const persistStateToggle = document.getElementById('persistStateToggle');
+    const displayResolutionToggle = document.getElementById('displayResolutionToggle');
+    const upscalerSelect = document.getElementById('upscalerSelect');
+    const backendSelect = document.getElementById('backendSelect');
+    const matrixSelect = document.getElementById('matrixSelect');
+    const expandRangeToggle = document.getElementById('expandRangeToggle');
+    const linearLightToggle = document.getElementById('linearLightToggle');
+    const applyAllTabsBtn = document.getElementById('applyAllTabsBtn');
 
     let state = null;
 
+    // Active tab the popup controls (null on browser pages; settings are then global)
+    let activeTabId = null;
+    let activeOrigin = null;
+
+    // Hostname of the active tab ('' for non-web pages)
+    let activeHost = '';
+
+    // Id of the preset being edited (null while creating a new one)
+    let editingId = null;
+
+    // Pass order carried over from the preset being edited or duplicated
+    let editingPasses = null;
+
+    // Keep a port open so the background can drop live previews when the popup closes
+    chrome.runtime.connect({ name: 'popup' });
+
     // Initialize
+    await loadActiveHost();
     await loadState();
     await updateVideoInfo();
 
-    // Toggle handler
+    // Toggle handler - applies to the active tab only
     enableToggle.addEventListener('change', async (e) => {
-        state = await chrome.runtime.sendMessage({
+        state = await sendMessage({
             type: 'SET_ENABLED',
             enabled: e.target.checked
         });
@@ -28,20 +92,268 @@ document.addEventListener('DOMContentLoaded', async () => {
         const btn = e.target.closest('.preset-btn');
         if (!btn) return;
 
-        const preset = btn.dataset.preset;
-        state = await chrome.runtime.sendMessage({
-            type: 'SET_PRESET',
-            preset: preset
+        await selectPreset(btn.dataset.preset);
+    });
+
+    // Copy this tab's settings to every tab
+    applyAllTabsBtn.addEventListener('click', async () => {
+        const effective = getEffectiveState();
+        state = await sendMessage({
+            type: 'APPLY_TO_ALL_TABS',
+            enabled: effective.enabled,
+            preset: effective.preset
         });
         updateUI();
     });
 
+    // Site rule handlers
+    rememberSiteBtn.addEventListener('click', async () => {
+        const effective = getEffectiveState();
+        // Rules are stored under the normalized pattern (no www.)
+        const pattern = window.SiteRules.normalizePattern(activeHost);
+        await saveSiteRule(pattern, {
+            enabled: effective.enabled,
+            preset: effective.preset,
+            controlSelectors: state.siteRules?.[pattern]?.controlSelectors || null
+        });
+    });
+
+    siteRuleForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveSiteRule(siteRulePattern.value, { enabled: null, preset: null });
+        siteRulePattern.value = '';
+    });
+
+    siteRuleList.addEventListener('change', async (e) => {
+        const row = e.target.closest('.site-rule');
+        if (!row) return;
+
+        const rule = { ...state.siteRules[row.dataset.pattern] };
+        if (e.target.name === 'enabled') {
+            rule.enabled = e.target.value === '' ? null : e.target.value === 'on';
+        } else if (e.target.name === 'preset') {
+            rule.preset = e.target.value || null;
+        } else if (e.target.name === 'controlSelectors') {
+            const selectors = e.target.value.trim();
+            try {
+                if (selectors) document.createDocumentFragment().querySelector(selectors);
+            } catch (err) {
+                e.target.setCustomValidity('Not a valid CSS selector list');
+                e.target.reportValidity();
+                return;
+            }
+            e.target.setCustomValidity('');
+            rule.controlSelectors = selectors || null;
+        }
+        await saveSiteRule(row.dataset.pattern, rule);
+    });
+
+    siteRuleList.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.rule-delete');
+        if (!btn) return;
+
+        await saveSiteRule(btn.closest('.site-rule').dataset.pattern, null);
+    });
+
+    // Comparison mode handler
+    compareModes.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.segment-btn');
+        if (!btn) return;
+
+        const result = await sendMessage({ type: 'SET_COMPARE', mode: btn.dataset.mode });
+        updateCompareModes(result?.compareMode || 'off');
+    });
+
+    // Settings handlers
+    persistStateToggle.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_STATE_STORAGE',
+            area: e.target.checked ? 'local' : 'session'
+        });
+        updateUI();
+    });
+
+    displayResolutionToggle.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_RENDERING',
+            rendering: { resolution: e.target.checked ? 'display' : 'video' }
+        });
+        updateUI();
+    });
+
+    upscalerSelect.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_RENDERING',
+            rendering: { upscaler: e.target.value }
+        });
+        updateUI();
+    });
+
+    backendSelect.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_RENDERING',
+            rendering: { backend: e.target.value }
+        });
+        updateUI();
+    });
+
+    matrixSelect.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_RENDERING',
+            rendering: { matrix: e.target.value }
+        });
+        updateUI();
+    });
+
+    expandRangeToggle.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_RENDERING',
+            rendering: { expandRange: e.target.checked }
+        });
+        updateUI();
+    });
+
+    linearLightToggle.addEventListener('change', async (e) => {
+        state = await sendMessage({
+            type: 'SET_RENDERING',
+            rendering: { linearLight: e.target.checked }
+        });
+        updateUI();
+    });
+
+    // Preset management handlers
+    newPresetBtn.addEventListener('click', () => {
+        openEditor(null, {
+            name: 'My Preset',
+            denoising: 0.4,
+            deblocking: 0.6,
+            debanding: 0.5,
+            debandRadius: 16,
+            debandThreshold: 0.75,
+            debandIterations: 1,
+            smoothing: 0.3,
+            sharpening: 0.15
+        });
+    });
+
+    duplicatePresetBtn.addEventListener('click', () => {
+        const active = getActivePreset();
+        if (!active) return;
+        openEditor(null, { ...active, name: `${active.name} Copy` });
+    });
+
+    editPresetBtn.addEventListener('click', () => {
+        const active = getActivePreset();
+        if (!active || active.builtin) return;
+        openEditor(getEffectiveState().preset, active);
+    });
+
+    deletePresetBtn.addEventListener('click', async () => {
+        const active = getActivePreset();
+        if (!active || active.builtin) return;
+
+        // First click arms the button, second click deletes
+        if (!deletePresetBtn.classList.contains('confirm')) {
+            deletePresetBtn.classList.add('confirm');
+            deletePresetBtn.textContent = 'Confirm';
+            return;
+        }
+
+        state = await sendMessage({ type: 'DELETE_PRESET', id: getEffectiveState().preset });
+        closeEditor();
+        updateUI();
+    });
+
+    // Live preview while dragging
+    sliders.forEach(slider => {
+        slider.addEventListener('input', () => {
+            updateSliderOutput(slider);
+            chrome.runtime.sendMessage({ type: 'PREVIEW_PRESET', preset: readEditor() });
+        });
+    });
+
+    cancelEditBtn.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'PREVIEW_PRESET', preset: null });
+        closeEditor();
+    });
+
+    presetEditor.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const result = await sendMessage({
+            type: 'SAVE_PRESET',
+            id: editingId,
+            preset: readEditor()
+        });
+        state = result.state;
+        await selectPreset(result.id);
+        await chrome.runtime.sendMessage({ type: 'PREVIEW_PRESET', preset: null });
+
+        closeEditor();
+        updateUI();
+    });
+
+    /**
+     * Look up the active tab and its hostname (available through activeTab)
+     */
+    async function loadActiveHost() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const url = new URL(tab?.url || '');
+            if (url.protocol === 'http:' || url.protocol === 'https:') {
+                activeTabId = tab.id;
+                activeOrigin = url.origin;
+                activeHost = url.hostname;
+            }
+        } catch (e) {
+            activeHost = '';
+        }
+    }
+
+    /**
+     * Send a message to the background on behalf of the active tab
+     */
+    function sendMessage(message) {
+        return chrome.runtime.sendMessage({ ...message, tabId: activeTabId, origin: activeOrigin });
+    }
+
+    /**
+     * Get the state that applies to the active tab (global state + site rule)
+     */
+    function getEffectiveState() {
+        return window.SiteRules.resolve(state, activeHost);
+    }
+
+    /**
+     * Select a preset for the active tab
+     */
+    async function selectPreset(presetId) {
+        state = await sendMessage({
+            type: 'SET_PRESET',
+            preset: presetId
+        });
+        updateUI();
+    }
+
+    /**
+     * Create, update or (with a null rule) delete a site rule
+     */
+    async function saveSiteRule(pattern, rule) {
+        const result = await sendMessage({ type: 'SET_SITE_RULE', pattern, rule });
+        if (result?.error) {
+            console.warn('Could not save site rule:', result.error);
+            return;
+        }
+        state = result;
+        updateUI();
+    }
+
     /**
      * Load extension state from background
      */
     async function loadState() {
         try {
-            state = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+            state = await sendMessage({ type: 'GET_STATE' });
             updateUI();
         } catch (e) {
             console.error('Failed to load state:', e);
@@ -56,11 +368,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     function updateUI() {
         if (!state) return;
 
+        const effective = getEffectiveState();
+
         // Update toggle
-        enableToggle.checked = state.enabled;
+        enableToggle.checked = effective.enabled;
 
         // Update status
-        if (state.enabled) {
+        if (effective.enabled) {
             statusIndicator.classList.add('active');
             statusText.textContent = 'Enhancement active';
         } else {
@@ -69,12 +383,234 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // Update preset buttons
-        const buttons = presetGrid.querySelectorAll('.preset-btn');
-        buttons.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.preset === state.preset);
+        renderPresets(effective.preset);
+
+        // Update site rule controls
+        siteHost.textContent = activeHost || 'This page';
+        siteRuleBadge.hidden = !effective.siteRule;
+        siteRuleBadge.textContent = effective.siteRule ? `Rule: ${effective.siteRule.pattern}` : '';
+        rememberSiteBtn.disabled = !activeHost;
+        applyAllTabsBtn.disabled = activeTabId === null;
+        renderSiteRules();
+
+        // Update settings
+        persistStateToggle.checked = state.stateStorage === 'local';
+        displayResolutionToggle.checked = state.rendering?.resolution === 'display';
+        upscalerSelect.value = state.rendering?.upscaler || 'easu';
+        upscalerSelect.disabled = !displayResolutionToggle.checked;
+        backendSelect.value = state.rendering?.backend || 'auto';
+        matrixSelect.value = state.rendering?.matrix || 'auto';
+        expandRangeToggle.checked = Boolean(state.rendering?.expandRange);
+        linearLightToggle.checked = Boolean(state.rendering?.linearLight);
+
+        // Built-in presets can only be duplicated
+        const active = getActivePreset();
+        editPresetBtn.disabled = !active || active.builtin;
+        deletePresetBtn.disabled = !active || active.builtin;
+        deletePresetBtn.classList.remove('confirm');
+        deletePresetBtn.textContent = 'Delete';
+    }
+
+    /**
+     * Render the preset grid from state
+     */
+    function renderPresets(activePreset) {
+        presetGrid.replaceChildren();
+
+        for (const [id, preset] of Object.entries(state.presets || {})) {
+            const btn = document.createElement('button');
+            btn.className = 'preset-btn';
+            btn.dataset.preset = id;
+            btn.title = preset.description || preset.name;
+            btn.classList.toggle('active', id === activePreset);
+
+            const icon = document.createElement('span');
+            icon.className = 'preset-icon';
+            icon.textContent = preset.icon || '⭐';
+
+            const name = document.createElement('span');
+            name.className = 'preset-name';
+            name.textContent = preset.label || preset.name;
+
+            const desc = document.createElement('span');
+            desc.className = 'preset-desc';
+            desc.textContent = preset.tagline || '';
+
+            btn.append(icon, name, desc);
+            presetGrid.appendChild(btn);
+        }
+    }
+
+    /**
+     * Render the editable site rule table
+     */
+    function renderSiteRules() {
+        siteRuleList.replaceChildren();
+
+        for (const [pattern, rule] of Object.entries(state.siteRules || {})) {
+            const row = document.createElement('li');
+            row.className = 'site-rule';
+            row.dataset.pattern = pattern;
+
+            const label = document.createElement('span');
+            label.className = 'rule-pattern';
+            label.textContent = pattern;
+            label.title = pattern;
+
+            const enabledSelect = createSelect('enabled', [
+                ['', 'Global'],
+                ['on', 'On'],
+                ['off', 'Off']
+            ], rule.enabled === true ? 'on' : rule.enabled === false ? 'off' : '');
+
+            const presetSelect = createSelect('preset', [
+                ['', 'Global'],
+                ...Object.entries(state.presets || {}).map(([id, preset]) => [id, preset.label || preset.name])
+            ], rule.preset || '');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'rule-delete';
+            deleteBtn.title = 'Delete rule';
+            deleteBtn.textContent = '×';
+
+            // Player controls that must stay above the overlay on this site
+            const controlsInput = document.createElement('input');
+            controlsInput.type = 'text';
+            controlsInput.name = 'controlSelectors';
+            controlsInput.className = 'text-input rule-controls';
+            controlsInput.placeholder = 'Controls above video, e.g. .player-controls';
+            controlsInput.title = 'CSS selectors for player controls or captions the enhanced picture must not cover';
+            controlsInput.value = rule.controlSelectors || '';
+
+            row.append(label, enabledSelect, presetSelect, deleteBtn, controlsInput);
+            siteRuleList.appendChild(row);
+        }
+    }
+
+    /**
+     * Build a <select> from [value, label] pairs
+     */
+    function createSelect(name, options, value) {
+        const select = document.createElement('select');
+        select.name = name;
+        select.className = 'rule-select';
+
+        for (const [optionValue, optionLabel] of options) {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        }
+
+        select.value = value;
+        return select;
+    }
+
+    /**
+     * Get the preset object that applies to the active tab
+     */
+    function getActivePreset() {
+        return state?.presets?.[getEffectiveState().preset] || null;
+    }
+
+    /**
+     * Show the editor filled with a preset's values
+     */
+    function openEditor(id, preset) {
+        editingId = id;
+        presetName.value = preset.name || '';
+        sliders.forEach(slider => {
+            // Presets saved before a setting existed get its default
+            slider.value = preset[slider.dataset.param] ?? slider.dataset.default ?? 0;
+            updateSliderOutput(slider);
+        });
+        editingPasses = preset.passes || null;
+        presetEditor.hidden = false;
+        presetName.focus();
+    }
+
+    /**
+     * Hide the editor
+     */
+    function closeEditor() {
+        editingId = null;
+        editingPasses = null;
+        presetEditor.hidden = true;
+    }
+
+    /**
+     * Read the editor fields into a preset object
+     */
+    function readEditor() {
+        const preset = { name: presetName.value };
+        sliders.forEach(slider => {
+            preset[slider.dataset.param] = parseFloat(slider.value);
+        });
+
+        if (editingPasses) preset.passes = editingPasses;
+        return preset;
+    }
+
+    /**
+     * Show a slider's value next to it
+     */
+    function updateSliderOutput(slider) {
+        const decimals = parseFloat(slider.step) >= 1 ? 0 : 2;
+        slider.nextElementSibling.textContent = parseFloat(slider.value).toFixed(decimals);
+    }
+
+    /**
+     * Highlight the active comparison mode
+     */
+    function updateCompareModes(mode) {
+        compareModes.querySelectorAll('.segment-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
         });
     }
 
+    /**
+     * Show the estimator's measurements and classifier features
+     */
+    function renderAnalysis(quality) {
+        if (!quality) return;
+
+        const metrics = quality.metrics || {};
+        const content = quality.content;
+        const format = (value) => typeof value === 'number' ? value.toFixed(2) : '--';
+        const rows = [
+            ['Resolution', `${metrics.videoWidth}×${metrics.videoHeight}`],
+            ['Pixel sampling', metrics.pixelMetrics]
+        ];
+
+        if (metrics.pixelMetrics === 'ok') {
+            rows.push(
+                ['Blockiness', format(metrics.blockiness)],
+                ['Banding', format(metrics.banding)],
+                ['Noise', format(metrics.noise)],
+                ['Flat area', format(metrics.flatRatio)]
+            );
+        }
+
+        if (content) {
+            rows.push(
+                ['Content', `${content.type} (${Math.round(content.confidence * 100)}%)`],
+                ['Animation score', format(content.features.animationScore)],
+                ['Dominant colours', String(content.features.dominantColors)],
+                ['Colour sparsity', format(content.features.colorSparsity)],
+                ['Edge density', format(content.features.edgeDensity)],
+                ['Edge hardness', format(content.features.edgeHardness)]
+            );
+        }
+
+        analysisList.replaceChildren(...rows.flatMap(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            return [term, detail];
+        }));
+    }
+
     /**
      * Get video info from content script
      */
@@ -95,7 +631,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 qualityValue.textContent = score;
 
                 // Update status text
-                if (!state?.enabled) {
+                if (!getEffectiveState().enabled) {
                     statusText.textContent = `${info.videoCount} video${info.videoCount > 1 ? 's' : ''} detected`;
                 }
 
@@ -108,9 +644,59 @@ document.addEventListener('DOMContentLoaded', async () => {
                     qualityFill.style.background = 'linear-gradient(90deg, #ef4444, #dc2626)';
                 }
             }
+
+            renderAnalysis(info.quality);
+            updateCompareModes(info.compareMode || 'off');
+
+            // Show what the Auto preset picked and why
+            autoInfo.hidden = !info.auto;
+            if (info.auto) {
+                const picked = document.createElement('strong');
+                picked.textContent = info.auto.name;
+                autoInfo.replaceChildren('Auto picked ', picked, ` · ${info.auto.reason}`);
+            }
+
+            // Show the performance governor's current level
+            performanceInfo.hidden = !info.performance;
+            if (info.performance) {
+                const level = document.createElement('strong');
+                level.textContent = info.performance.name;
+                const cost = info.performance.costMs === null
+                    ? ''
+                    : ` · ${info.performance.costMs} ms/frame (${info.performance.timing.toUpperCase()})`;
+                const note = info.performance.throttled ? ' · another video has focus' : '';
+                const backend = info.backend ? ` · ${BACKEND_LABELS[info.backend] || info.backend}` : '';
+                const matrix = info.colorMatrix ? ` · ${MATRIX_LABELS[info.colorMatrix] || info.colorMatrix}` : '';
+                performanceInfo.replaceChildren('Performance: ', level, cost, note, backend, matrix);
+            }
+
+            // Videos whose frames can't be processed
+            const skipped = (info.access || []).filter(status => status && status !== 'ok');
+            accessInfo.hidden = skipped.length === 0;
+            if (skipped.length > 0) {
+                const reasons = document.createElement('strong');
+                reasons.textContent = [...new Set(skipped)].map(status => ACCESS_LABELS[status] || status).join(', ');
+                const count = info.access.length > 1 ? `${skipped.length} of ${info.access.length} videos` : 'Video';
+                accessInfo.replaceChildren(`${count} not enhanced: `, reasons);
+            }
+
+            // Videos inside embedded frames (e.g. a Vimeo or YouTube player), by site
+            const embedded = (info.frames || []).filter(frame => frame.frameId !== 0);
+            frameInfo.hidden = embedded.length === 0;
+            if (embedded.length > 0) {
+                const sites = document.createElement('strong');
+                sites.textContent = embedded.map(frame => `${getOriginHost(frame.origin)} (${frame.videoCount})`).join(', ');
+                frameInfo.replaceChildren('In embedded frames: ', sites);
+            }
+
+            // Rendering gave up, e.g. after repeated GPU context loss
+            renderWarning.hidden = !info.renderFailure;
+            if (info.renderFailure) {
+                renderWarning.textContent = `Enhancement stopped: ${info.renderFailure}. Turn it off and on to retry.`;
+            }
         } catch (e) {
             console.log('Could not get video info:', e.message);
-            statusText.textContent = state?.enabled ? 'Enhancement active' : 'Ready';
+            statusText.textContent = getEffectiveState().enabled ? 'Enhancement active' : 'Ready';
         }
     }
 });
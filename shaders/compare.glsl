@@ -0,0 +1,59 @@
+// Compare Shader - Before/after views of the enhanced frame
+// Composite pass "compare" (see content/shader-pipeline.js)
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;   // Enhanced frame
+uniform sampler2D u_original;  // Unprocessed frame
+uniform vec2 u_resolution;
+uniform float u_compareMode;   // 1 = split screen, 2 = magnifier
+uniform float u_split;         // Divider position, 0 (left) to 1 (right)
+uniform vec2 u_focus;          // Magnifier centre in texture coordinates
+uniform float u_zoom;
+
+// Magnifier panel size and margin as a fraction of the frame
+const vec2 PANEL_SIZE = vec2(0.4, 0.25);
+const float PANEL_MARGIN = 0.02;
+
+// Split screen: original left of the divider, enhanced right of it
+vec3 splitView(vec2 uv) {
+  vec3 color = uv.x < u_split ? texture2D(u_original, uv).rgb : texture2D(u_texture, uv).rgb;
+
+  // Divider line
+  if (abs(uv.x - u_split) * u_resolution.x < 1.0) {
+    color = vec3(1.0);
+  }
+  return color;
+}
+
+// Magnifier: a panel in the top-right corner with the area around u_focus
+// zoomed in, original on the left half and enhanced on the right half
+vec3 magnifierView(vec2 uv) {
+  vec3 color = texture2D(u_texture, uv).rgb;
+
+  vec2 panelMin = vec2(1.0) - PANEL_SIZE - PANEL_MARGIN;
+  vec2 local = (uv - panelMin) / PANEL_SIZE;
+  if (any(lessThan(local, vec2(0.0))) || any(greaterThan(local, vec2(1.0)))) {
+    return color;
+  }
+
+  // Each half shows the same region around the focus point
+  vec2 halfLocal = vec2(fract(local.x * 2.0), local.y);
+  vec2 region = vec2(PANEL_SIZE.x * 0.5, PANEL_SIZE.y) / u_zoom;
+  vec2 sampleUv = clamp(u_focus + (halfLocal - 0.5) * region, 0.0, 1.0);
+  color = local.x < 0.5 ? texture2D(u_original, sampleUv).rgb : texture2D(u_texture, sampleUv).rgb;
+
+  // Panel border and centre line, in output pixels
+  vec2 edge = min(local, 1.0 - local) * PANEL_SIZE * u_resolution;
+  float centre = abs(local.x - 0.5) * PANEL_SIZE.x * u_resolution.x;
+  if (min(edge.x, edge.y) < 2.0 || centre < 1.0) {
+    color = vec3(1.0);
+  }
+  return color;
+}
+
+void main() {
+  vec3 color = u_compareMode < 1.5 ? splitView(v_texCoord) : magnifierView(v_texCoord);
+  gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,11 @@
+// Copy Shader - Pass-through used when no enhancement pass is active
+// Pipeline pass "copy" (see content/shader-pipeline.js)
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+
+void main() {
+  gl_FragColor = vec4(texture2D(u_texture, v_texCoord).rgb, 1.0);
+}
@@ -1,38 +1,86 @@
-// Debanding Shader - Blue-noise dithering to reduce color banding
-// This shader is embedded in video-processor.js but kept here for reference
+// Debanding Shader - Gradient-aware debanding followed by blue-noise dithering
+// Pipeline pass "deband" (see content/shader-pipeline.js)
+// Works like mpv's deband filter (after f3kdb): each round averages four
+// samples at a random distance and angle around the pixel. Where the pixel is
+// within the threshold of that average it sits on a low-contrast plateau, and
+// takes the average, which turns the 8-bit staircase back into a gradient.
+// Texture and edges differ from the average by more and are left alone.
 
 precision mediump float;
 
 varying vec2 v_texCoord;
 uniform sampler2D u_texture;
+uniform sampler2D u_blueNoise;
 uniform vec2 u_resolution;
 uniform float u_debanding;
-uniform float u_time;
+uniform float u_debandRadius;     // Sampling distance of the first round, in pixels
+uniform float u_debandThreshold;  // Plateau threshold, in quantization steps
+uniform float u_debandIterations; // Averaging rounds (0 = dither only)
+uniform float u_reducedTaps;      // 1 = a single round (performance governor)
+uniform float u_quantStep;   // Detected quantization step (0-1 scale)
+uniform float u_noiseOffset; // Advances by the golden ratio every frame
 
-// Pseudo-random for blue-noise approximation
-float rand(vec2 co) {
-  return fract(sin(dot(co.xy, vec2(12.9898, 78.233))) * 43758.5453);
+// Must match BlueNoise.SIZE (content/blue-noise.js)
+const float BLUE_NOISE_SIZE = 64.0;
+
+const int MAX_ITERATIONS = 4;
+
+// Blue-noise tile value in [0, 1) at an offset
+float tileNoise(vec2 offset) {
+  return texture2D(u_blueNoise, (gl_FragCoord.xy + offset) / BLUE_NOISE_SIZE).r;
 }
 
-// Blue-noise-like dithering pattern
-float blueNoise(vec2 uv) {
-  float n = rand(uv + u_time * 0.01);
-  n = (n - 0.5) * 2.0; // Range -1 to 1
-  return n;
+// Blue-noise threshold in [-0.5, 0.5), read from the tile at an offset
+// The per-frame offset walks every pixel through all thresholds evenly.
+float blueNoise(vec2 offset) {
+  return fract(tileNoise(offset) + u_noiseOffset) - 0.5;
+}
+
+// Average of four samples a quarter turn apart, at a random distance up to range
+// The pattern doesn't move between frames, so plateaus don't flicker.
+vec3 average(float range, vec2 offset) {
+  float dist = tileNoise(offset) * range;
+  float dir = tileNoise(offset + vec2(31.0, 17.0)) * 6.2831853;
+  // Turn in pixels, then scale to texture coordinates (non-square frames
+  // would stretch the quarter turn otherwise)
+  vec2 o = dist * vec2(cos(dir), sin(dir));
+  vec2 a = o / u_resolution;
+  vec2 b = vec2(-o.y, o.x) / u_resolution;
+
+  return (texture2D(u_texture, v_texCoord + a).rgb +
+          texture2D(u_texture, v_texCoord - a).rgb +
+          texture2D(u_texture, v_texCoord + b).rgb +
+          texture2D(u_texture, v_texCoord - b).rgb) * 0.25;
 }
 
 void main() {
   vec4 texColor = texture2D(u_texture, v_texCoord);
   vec3 color = texColor.rgb;
-  
-  // Apply blue-noise dithering
+
   if (u_debanding > 0.0) {
-    float noise = blueNoise(v_texCoord * u_resolution) * u_debanding * 0.02;
-    color += noise;
+    // Later rounds reach further with a tighter threshold
+    float threshold = u_debandThreshold * u_quantStep;
+    for (int i = 1; i <= MAX_ITERATIONS; i++) {
+      float n = float(i);
+      if (n > u_debandIterations || (u_reducedTaps > 0.5 && i > 1)) break;
+
+      vec3 avg = average(u_debandRadius * n, vec2(13.0, 29.0) * n);
+      color = mix(avg, color, step(threshold / n, abs(color - avg)));
+    }
+
+    // Blue-noise dither; each channel reads a different part of the tile,
+    // so their noise is uncorrelated
+    vec3 noise = vec3(
+      blueNoise(vec2(0.0, 0.0)),
+      blueNoise(vec2(23.0, 41.0)),
+      blueNoise(vec2(47.0, 11.0))
+    );
+    // At strength 0.5 the dither spans one quantization step
+    color += noise * u_quantStep * u_debanding * 2.0;
   }
-  
+
   // Clamp to valid range
   color = clamp(color, 0.0, 1.0);
-  
+
   gl_FragColor = vec4(color, 1.0);
 }
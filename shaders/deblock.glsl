@@ -0,0 +1,70 @@
+// Deblocking Shader - Smooths block edges on the codec's coding grid
+// Pipeline pass "deblock" (see content/shader-pipeline.js)
+// Block-based codecs quantize each block on its own, and at low bitrates that
+// leaves steps along the block grid. The grid is fixed in source pixels from
+// the top-left of the frame, so it is found from the video size; 16x16
+// macroblock edges lie on the same 8-pixel grid. As in H.264's in-loop filter,
+// an edge is only smoothed when the step across it is small and both sides are
+// flat next to it. A larger step, or texture beside the edge, is real detail.
+
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+// Source-pixel positions need more than mediump's 11 bits
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+uniform vec2 u_videoSize;   // Source video size; the grid is in these pixels
+uniform float u_deblocking; // Strength, scaled by the measured blockiness
+uniform vec3 u_lumaWeights;   // Luma coefficients of the video's matrix (BT.601 or BT.709)
+
+const float BLOCK_SIZE = 8.0;
+
+float getLuma(vec3 color) {
+  return dot(color, u_lumaWeights);
+}
+
+// Filter a pixel across the nearest block edge along one axis
+// position: the pixel's source coordinate along the axis
+// axis: one source pixel along the axis, in texture coordinates
+vec3 filterAcross(vec3 color, float position, vec2 axis) {
+  float edge = floor(position / BLOCK_SIZE + 0.5) * BLOCK_SIZE;
+  float offset = position - edge;
+
+  // Only the two pixels on each side of the edge are touched
+  if (abs(offset) >= 2.0) return color;
+
+  vec2 edgeCoord = v_texCoord - axis * offset;
+  vec3 p1 = texture2D(u_texture, edgeCoord - axis * 1.5).rgb;
+  vec3 p0 = texture2D(u_texture, edgeCoord - axis * 0.5).rgb;
+  vec3 q0 = texture2D(u_texture, edgeCoord + axis * 0.5).rgb;
+  vec3 q1 = texture2D(u_texture, edgeCoord + axis * 1.5).rgb;
+
+  // Stronger settings accept larger steps as artifacts (8-bit levels)
+  float alpha = (4.0 + 20.0 * u_deblocking) / 255.0;
+  float beta = (2.0 + 6.0 * u_deblocking) / 255.0;
+  if (abs(getLuma(p0) - getLuma(q0)) >= alpha ||
+      abs(getLuma(p1) - getLuma(p0)) >= beta ||
+      abs(getLuma(q1) - getLuma(q0)) >= beta) {
+    return color;
+  }
+
+  // Replace the step with a ramp from p1 to q1
+  vec3 ramp = mix(p1, q1, (offset + 1.5) / 3.0);
+  return mix(color, ramp, u_deblocking);
+}
+
+void main() {
+  vec3 color = texture2D(u_texture, v_texCoord).rgb;
+
+  // Columns count from the left, rows from the top (texture y points up)
+  vec3 horizontal = filterAcross(color, v_texCoord.x * u_videoSize.x, vec2(1.0 / u_videoSize.x, 0.0));
+  vec3 vertical = filterAcross(color, (1.0 - v_texCoord.y) * u_videoSize.y, vec2(0.0, -1.0 / u_videoSize.y));
+
+  // Pixels next to a corner get both corrections
+  color = horizontal + vertical - color;
+
+  gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
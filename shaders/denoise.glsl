@@ -0,0 +1,68 @@
+// Temporal Denoise Shader - Blends each pixel with the previous frame where nothing moves
+// Pipeline pass "denoise" (see content/shader-pipeline.js)
+// u_history holds this pass's own output for the previous frame, so the blend
+// is a running average that settles mosquito noise and compression flicker on
+// static areas. Motion is measured on the 3x3 neighbourhood mean, which noise
+// barely moves but a moving edge or a scene cut does; there the history fades
+// out and the pixel is left to the spatial passes. History is also clamped to
+// the current neighbourhood's range, so what does get blended can't ghost.
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+uniform sampler2D u_history;  // Previous frame's output of this pass
+uniform vec2 u_resolution;
+uniform float u_denoising;
+uniform float u_hasHistory;   // 0 after a seek, resize or cut-over; the frame passes through
+uniform float u_reducedTaps;  // 1 = cross neighbours only (performance governor)
+uniform vec3 u_lumaWeights;   // Luma coefficients of the video's matrix (BT.601 or BT.709)
+
+// Share of the history kept on static pixels at full strength
+const float MAX_HISTORY = 0.8;
+
+float getLuma(vec3 color) {
+  return dot(color, u_lumaWeights);
+}
+
+void main() {
+  vec3 color = texture2D(u_texture, v_texCoord).rgb;
+
+  if (u_hasHistory < 0.5) {
+    gl_FragColor = vec4(color, 1.0);
+    return;
+  }
+
+  vec2 texelSize = 1.0 / u_resolution;
+  vec3 history = texture2D(u_history, v_texCoord).rgb;
+  vec3 minColor = color;
+  vec3 maxColor = color;
+  vec3 sum = color;
+  vec3 historySum = history;
+  float count = 1.0;
+
+  for (float x = -1.0; x <= 1.0; x += 1.0) {
+    for (float y = -1.0; y <= 1.0; y += 1.0) {
+      if (x == 0.0 && y == 0.0) continue;
+      if (u_reducedTaps > 0.5 && x != 0.0 && y != 0.0) continue;
+
+      vec2 uv = v_texCoord + vec2(x, y) * texelSize;
+      vec3 sampleColor = texture2D(u_texture, uv).rgb;
+      minColor = min(minColor, sampleColor);
+      maxColor = max(maxColor, sampleColor);
+      sum += sampleColor;
+      historySum += texture2D(u_history, uv).rgb;
+      count += 1.0;
+    }
+  }
+
+  // Stronger settings tolerate larger changes before treating them as motion
+  float motion = abs(getLuma(sum - historySum)) / count;
+  float limit = (3.0 + 9.0 * u_denoising) / 255.0;
+  float weight = u_denoising * MAX_HISTORY * (1.0 - smoothstep(limit * 0.25, limit, motion));
+
+  history = clamp(history, minColor, maxColor);
+  color = mix(color, history, weight);
+
+  gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,106 @@
+// EASU Shader - Edge-adaptive spatial upscaling (after AMD FidelityFX FSR 1 EASU)
+// Pipeline pass "easu" (see content/shader-pipeline.js)
+//
+// Resamples the 12 source texels around each output pixel with a Lanczos2-like
+// kernel that is stretched along local edges, then clamps to the nearest 2x2
+// texels to avoid ringing.
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;  // Source (input) size in pixels
+uniform vec3 u_lumaWeights;   // Luma coefficients of the video's matrix (BT.601 or BT.709)
+
+float getLuma(vec3 color) {
+  return dot(color, u_lumaWeights);
+}
+
+vec3 fetch(vec2 texel) {
+  return texture2D(u_texture, (texel + 0.5) / u_resolution).rgb;
+}
+
+// Polynomial approximation of a windowed Lanczos2 kernel
+// lobe ranges from 0.5 (no negative lobe) to 0.21 (full negative lobe)
+float kernel(float d2, float lobe) {
+  float base = 0.4 * d2 - 1.0;
+  float window = lobe * d2 - 1.0;
+  return (1.5625 * base * base - 0.5625) * window * window;
+}
+
+// Accumulate one tap, offset from the sample position
+void addTap(inout vec3 sum, inout float weightSum, vec3 color, vec2 offset, vec2 dir, vec2 stretch, float lobe, float clip) {
+  vec2 v = vec2(dot(offset, dir), dot(offset, vec2(-dir.y, dir.x))) * stretch;
+  float weight = kernel(min(dot(v, v), clip), lobe);
+  sum += color * weight;
+  weightSum += weight;
+}
+
+void main() {
+  vec2 pos = v_texCoord * u_resolution - 0.5;
+  vec2 base = floor(pos);
+  vec2 pp = pos - base;
+
+  // 12-tap footprint:   b c
+  //                   e f g h
+  //                   i j k l
+  //                     n o
+  vec3 b = fetch(base + vec2(0.0, -1.0));
+  vec3 c = fetch(base + vec2(1.0, -1.0));
+  vec3 e = fetch(base + vec2(-1.0, 0.0));
+  vec3 f = fetch(base);
+  vec3 g = fetch(base + vec2(1.0, 0.0));
+  vec3 h = fetch(base + vec2(2.0, 0.0));
+  vec3 i = fetch(base + vec2(-1.0, 1.0));
+  vec3 j = fetch(base + vec2(0.0, 1.0));
+  vec3 k = fetch(base + vec2(1.0, 1.0));
+  vec3 l = fetch(base + vec2(2.0, 1.0));
+  vec3 n = fetch(base + vec2(0.0, 2.0));
+  vec3 o = fetch(base + vec2(1.0, 2.0));
+
+  float lb = getLuma(b), lc = getLuma(c), le = getLuma(e), lf = getLuma(f);
+  float lg = getLuma(g), lh = getLuma(h), li = getLuma(i), lj = getLuma(j);
+  float lk = getLuma(k), ll = getLuma(l), ln = getLuma(n), lo = getLuma(o);
+
+  // Gradient at the four centre texels, bilinearly weighted to the sample position
+  vec4 w = vec4((1.0 - pp.x) * (1.0 - pp.y), pp.x * (1.0 - pp.y), (1.0 - pp.x) * pp.y, pp.x * pp.y);
+  vec2 grad = vec2(lg - le, lj - lb) * w.x
+            + vec2(lh - lf, lk - lc) * w.y
+            + vec2(lk - li, ln - lf) * w.z
+            + vec2(ll - lj, lo - lg) * w.w;
+
+  // Edge strength relative to local contrast, 0 (flat) to 1 (clean edge)
+  float lumaMin = min(min(lf, lg), min(lj, lk));
+  float lumaMax = max(max(lf, lg), max(lj, lk));
+  float edge = clamp(length(grad) / (lumaMax - lumaMin + 0.02), 0.0, 1.0);
+  edge *= edge;
+
+  vec2 dir = dot(grad, grad) < 1.0e-8 ? vec2(1.0, 0.0) : normalize(grad);
+
+  // Stretch the kernel along the edge and sharpen it across
+  float axis = 1.0 / max(abs(dir.x), abs(dir.y));
+  vec2 stretch = vec2(1.0 + (axis - 1.0) * edge, 1.0 - 0.5 * edge);
+  float lobe = 0.5 - 0.29 * edge;
+  float clip = 1.0 / lobe;
+
+  vec3 sum = vec3(0.0);
+  float weightSum = 0.0;
+  addTap(sum, weightSum, b, vec2(0.0, -1.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, c, vec2(1.0, -1.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, e, vec2(-1.0, 0.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, f, vec2(0.0, 0.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, g, vec2(1.0, 0.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, h, vec2(2.0, 0.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, i, vec2(-1.0, 1.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, j, vec2(0.0, 1.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, k, vec2(1.0, 1.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, l, vec2(2.0, 1.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, n, vec2(0.0, 2.0) - pp, dir, stretch, lobe, clip);
+  addTap(sum, weightSum, o, vec2(1.0, 2.0) - pp, dir, stretch, lobe, clip);
+
+  // Deringing: stay within the nearest 2x2 texels
+  vec3 color = sum / max(weightSum, 1.0e-4);
+  color = clamp(color, min(min(f, g), min(j, k)), max(max(f, g), max(j, k)));
+
+  gl_FragColor = vec4(color, 1.0);
+}
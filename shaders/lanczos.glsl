@@ -0,0 +1,49 @@
+// Lanczos Shader - 4x4 tap Lanczos2 resampling
+// Pipeline pass "lanczos" (see content/shader-pipeline.js)
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;  // Source (input) size in pixels
+
+const float PI = 3.14159265;
+
+// sinc(x) * sinc(x / 2), zero outside |x| < 2
+float lanczos2(float x) {
+  x = abs(x);
+  if (x < 1.0e-4) return 1.0;
+  if (x >= 2.0) return 0.0;
+  float px = PI * x;
+  return 2.0 * sin(px) * sin(px * 0.5) / (px * px);
+}
+
+void main() {
+  vec2 pos = v_texCoord * u_resolution - 0.5;
+  vec2 base = floor(pos);
+  vec2 pp = pos - base;
+
+  vec3 sum = vec3(0.0);
+  float weightSum = 0.0;
+  vec3 nearMin = vec3(1.0);
+  vec3 nearMax = vec3(0.0);
+
+  for (float y = -1.0; y <= 2.0; y += 1.0) {
+    float wy = lanczos2(y - pp.y);
+    for (float x = -1.0; x <= 2.0; x += 1.0) {
+      vec3 color = texture2D(u_texture, (base + vec2(x, y) + 0.5) / u_resolution).rgb;
+      float weight = lanczos2(x - pp.x) * wy;
+      sum += color * weight;
+      weightSum += weight;
+
+      // Track the nearest 2x2 texels for deringing
+      if (x >= 0.0 && x <= 1.0 && y >= 0.0 && y <= 1.0) {
+        nearMin = min(nearMin, color);
+        nearMax = max(nearMax, color);
+      }
+    }
+  }
+
+  vec3 color = clamp(sum / weightSum, nearMin, nearMax);
+  gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,21 @@
+// Range Expansion Shader - Stretches limited-range video to full range
+// Pipeline pass "range" (see content/shader-pipeline.js)
+// Video is normally coded with black at 16 and white at 235 (of 255) and the
+// browser stretches it when decoding. Some sites deliver frames that were
+// never stretched, which look washed out (grey blacks, dull whites). This pass
+// does the stretch; it runs first, before any enhancement, when
+// Settings -> Expand limited range is on.
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+
+const float BLACK = 16.0 / 255.0;
+const float WHITE = 235.0 / 255.0;
+
+void main() {
+  vec3 color = texture2D(u_texture, v_texCoord).rgb;
+  color = (color - BLACK) / (WHITE - BLACK);
+  gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
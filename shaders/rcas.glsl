@@ -0,0 +1,53 @@
+// RCAS Shader - Robust contrast-adaptive sharpening (after AMD FidelityFX FSR 1 RCAS)
+// Pipeline pass "rcas" (see content/shader-pipeline.js)
+// Runs at output resolution after EASU, in place of the "sharpen" pass
+
+precision mediump float;
+
+varying vec2 v_texCoord;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_sharpening;
+uniform float u_linearLight;  // 1 = filter in linear light
+
+// Strongest negative lobe; keeps the filter from ringing
+const float RCAS_LIMIT = 0.25 - 1.0 / 16.0;
+
+// Display gamma assumed when converting to linear light
+const float GAMMA = 2.2;
+
+// Gamma-encoded colour to linear light, when linear-light filtering is on
+vec3 toLinear(vec3 color) {
+  if (u_linearLight < 0.5) return color;
+  return pow(max(color, 0.0), vec3(GAMMA));
+}
+
+vec3 fromLinear(vec3 color) {
+  if (u_linearLight < 0.5) return color;
+  return pow(max(color, 0.0), vec3(1.0 / GAMMA));
+}
+
+void main() {
+  vec2 texelSize = 1.0 / u_resolution;
+
+  //   b
+  // d e f
+  //   h
+  vec3 b = toLinear(texture2D(u_texture, v_texCoord + vec2(0.0, -texelSize.y)).rgb);
+  vec3 d = toLinear(texture2D(u_texture, v_texCoord + vec2(-texelSize.x, 0.0)).rgb);
+  vec3 e = toLinear(texture2D(u_texture, v_texCoord).rgb);
+  vec3 f = toLinear(texture2D(u_texture, v_texCoord + vec2(texelSize.x, 0.0)).rgb);
+  vec3 h = toLinear(texture2D(u_texture, v_texCoord + vec2(0.0, texelSize.y)).rgb);
+
+  vec3 ringMin = min(min(b, d), min(f, h));
+  vec3 ringMax = max(max(b, d), max(f, h));
+
+  // Largest lobe that keeps the result inside [0, 1] for every channel
+  vec3 hitMin = min(ringMin, e) / (4.0 * ringMax + 1.0e-4);
+  vec3 hitMax = (1.0 - max(ringMax, e)) / min(4.0 * ringMin - 4.0, -1.0e-4);
+  vec3 lobeRGB = max(-hitMin, hitMax);
+  float lobe = max(-RCAS_LIMIT, min(max(lobeRGB.r, max(lobeRGB.g, lobeRGB.b)), 0.0)) * u_sharpening;
+
+  vec3 color = (lobe * (b + d + f + h) + e) / (4.0 * lobe + 1.0);
+  gl_FragColor = vec4(fromLinear(clamp(color, 0.0, 1.0)), 1.0);
+}
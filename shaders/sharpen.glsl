@@ -1,5 +1,5 @@
 // Sharpening Shader - Contrast-adaptive sharpening (CAS)
-// This shader is embedded in video-processor.js but kept here for reference
+// Pipeline pass "sharpen" (see content/shader-pipeline.js)
 
 precision mediump float;
 
@@ -7,16 +7,31 @@ varying vec2 v_texCoord;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform float u_sharpening;
+uniform float u_linearLight;  // 1 = filter in linear light
+
+// Display gamma assumed when converting to linear light
+const float GAMMA = 2.2;
+
+// Gamma-encoded colour to linear light, when linear-light filtering is on
+vec3 toLinear(vec3 color) {
+  if (u_linearLight < 0.5) return color;
+  return pow(max(color, 0.0), vec3(GAMMA));
+}
+
+vec3 fromLinear(vec3 color) {
+  if (u_linearLight < 0.5) return color;
+  return pow(max(color, 0.0), vec3(1.0 / GAMMA));
+}
 
 // Contrast-adaptive sharpening
 vec3 sharpen(vec2 uv, vec3 color) {
   vec2 texelSize = 1.0 / u_resolution;
   
   // Sample neighbors
-  vec3 up = texture2D(u_texture, uv + vec2(0.0, -texelSize.y)).rgb;
-  vec3 down = texture2D(u_texture, uv + vec2(0.0, texelSize.y)).rgb;
-  vec3 left = texture2D(u_texture, uv + vec2(-texelSize.x, 0.0)).rgb;
-  vec3 right = texture2D(u_texture, uv + vec2(texelSize.x, 0.0)).rgb;
+  vec3 up = toLinear(texture2D(u_texture, uv + vec2(0.0, -texelSize.y)).rgb);
+  vec3 down = toLinear(texture2D(u_texture, uv + vec2(0.0, texelSize.y)).rgb);
+  vec3 left = toLinear(texture2D(u_texture, uv + vec2(-texelSize.x, 0.0)).rgb);
+  vec3 right = toLinear(texture2D(u_texture, uv + vec2(texelSize.x, 0.0)).rgb);
   
   // Unsharp mask
   vec3 neighbors = (up + down + left + right) * 0.25;
@@ -35,7 +50,7 @@ void main() {
   
   // Apply sharpening
   if (u_sharpening > 0.0) {
-    color = sharpen(v_texCoord, color);
+    color = fromLinear(clamp(sharpen(v_texCoord, toLinear(color)), 0.0, 1.0));
   }
   
   // Clamp to valid range
@@ -1,5 +1,5 @@
 // Smoothing Shader - Gentle luma smoothing for block artifacts
-// This shader is embedded in video-processor.js but kept here for reference
+// Pipeline pass "smooth" (see content/shader-pipeline.js)
 
 precision mediump float;
 
@@ -7,10 +7,27 @@ varying vec2 v_texCoord;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform float u_smoothing;
+uniform float u_reducedTaps;  // 1 = cross neighbours only (performance governor)
+uniform vec3 u_lumaWeights;   // Luma coefficients of the video's matrix (BT.601 or BT.709)
+uniform float u_linearLight;  // 1 = filter in linear light
 
 // Get luminance
 float getLuma(vec3 color) {
-  return dot(color, vec3(0.299, 0.587, 0.114));
+  return dot(color, u_lumaWeights);
+}
+
+// Display gamma assumed when converting to linear light
+const float GAMMA = 2.2;
+
+// Gamma-encoded colour to linear light, when linear-light filtering is on
+vec3 toLinear(vec3 color) {
+  if (u_linearLight < 0.5) return color;
+  return pow(max(color, 0.0), vec3(GAMMA));
+}
+
+vec3 fromLinear(vec3 color) {
+  if (u_linearLight < 0.5) return color;
+  return pow(max(color, 0.0), vec3(1.0 / GAMMA));
 }
 
 // Bilateral-ish smoothing for block artifacts
@@ -21,13 +38,14 @@ vec3 smoothPixel(vec2 uv, vec3 centerColor) {
   vec3 sum = centerColor;
   float weightSum = 1.0;
   
-  // Sample 8 neighbors
+  // Sample 8 neighbors (4 with reduced taps)
   for (float x = -1.0; x <= 1.0; x += 1.0) {
     for (float y = -1.0; y <= 1.0; y += 1.0) {
       if (x == 0.0 && y == 0.0) continue;
+      if (u_reducedTaps > 0.5 && x != 0.0 && y != 0.0) continue;
       
       vec2 offset = vec2(x, y) * texelSize;
-      vec3 sampleColor = texture2D(u_texture, uv + offset).rgb;
+      vec3 sampleColor = toLinear(texture2D(u_texture, uv + offset).rgb);
       float sampleLuma = getLuma(sampleColor);
       
       // Edge-aware weight
@@ -48,8 +66,9 @@ void main() {
   
   // Apply smoothing
   if (u_smoothing > 0.0) {
+    color = toLinear(color);
     vec3 smoothed = smoothPixel(v_texCoord, color);
-    color = mix(color, smoothed, u_smoothing * 0.5);
+    color = fromLinear(mix(color, smoothed, u_smoothing * 0.5));
   }
   
   gl_FragColor = vec4(color, 1.0);
@@ -1,5 +1,5 @@
 // Vertex Shader - Basic pass-through for full-screen quad
-// This shader is embedded in video-processor.js but kept here for reference
+// Shared by every pipeline pass
 
 attribute vec2 a_position;
 attribute vec2 a_texCoord;
@@ -0,0 +1,80 @@
+// Common WGSL - Bindings, uniforms and vertex stage shared by every WebGPU pass
+// Prepended to each pass by content/webgpu-pipeline.js. Texture coordinates follow
+// the GLSL passes: (0, 0) is the bottom-left of the frame.
+
+// Field order must match WebGPUPipeline.UNIFORM_LAYOUT
+struct Uniforms {
+  resolution: vec2f,   // Size of u_texture in pixels
+  focus: vec2f,
+  debanding: f32,
+  smoothing: f32,
+  sharpening: f32,
+  noiseOffset: f32,    // Blue-noise offset, advances by the golden ratio every frame
+  compareMode: f32,
+  split: f32,
+  zoom: f32,
+  reducedTaps: f32,
+  quantStep: f32,      // Detected quantization step (0-1 scale)
+  debandRadius: f32,
+  debandThreshold: f32,
+  debandIterations: f32,
+  videoSize: vec2f,    // Source video size, for the block grid
+  deblocking: f32,
+  denoising: f32,
+  hasHistory: f32,     // 0 when the temporal pass has no previous frame to blend
+  targetSize: vec2f,   // Size of the target this pass draws, for fragCoord()
+  lumaWeights: vec3f,  // Luma coefficients of the video's matrix (BT.601 or BT.709)
+  linearLight: f32,    // 1 = smooth and sharpen in linear light
+}
+
+// Display gamma assumed when converting to linear light
+const GAMMA = 2.2;
+
+@group(0) @binding(0) var linearSampler: sampler;
+@group(0) @binding(1) var u_texture: texture_2d<f32>;
+@group(0) @binding(2) var u_original: texture_2d<f32>;
+@group(0) @binding(3) var<uniform> u: Uniforms;
+@group(0) @binding(4) var u_blueNoise: texture_2d<f32>;
+@group(0) @binding(5) var u_history: texture_2d<f32>;   // Previous frame's output of a temporal pass
+
+struct VertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) texCoord: vec2f,
+}
+
+// One triangle that covers the viewport
+@vertex
+fn vs_main(@builtin(vertex_index) index: u32) -> VertexOutput {
+  let pos = vec2f(f32((index << 1u) & 2u), f32(index & 2u)) * 2.0 - 1.0;
+
+  var out: VertexOutput;
+  out.position = vec4f(pos, 0.0, 1.0);
+  out.texCoord = pos * 0.5 + 0.5;
+  return out;
+}
+
+// Sample with bottom-left texture coordinates (WebGPU textures start at the top row)
+fn sampleTexture(t: texture_2d<f32>, uv: vec2f) -> vec4f {
+  return textureSampleLevel(t, linearSampler, vec2f(uv.x, 1.0 - uv.y), 0.0);
+}
+
+// Pixel centre counted from the bottom-left, like gl_FragCoord
+// (@builtin(position) counts from the top)
+fn fragCoord(position: vec4f) -> vec2f {
+  return vec2f(position.x, u.targetSize.y - position.y);
+}
+
+fn getLuma(color: vec3f) -> f32 {
+  return dot(color, u.lumaWeights);
+}
+
+// Gamma-encoded colour to linear light, when linear-light filtering is on
+fn toLinear(color: vec3f) -> vec3f {
+  if (u.linearLight < 0.5) { return color; }
+  return pow(max(color, vec3f(0.0)), vec3f(GAMMA));
+}
+
+fn fromLinear(color: vec3f) -> vec3f {
+  if (u.linearLight < 0.5) { return color; }
+  return pow(max(color, vec3f(0.0)), vec3f(1.0 / GAMMA));
+}
@@ -0,0 +1,60 @@
+// Compare WGSL - Before/after views of the enhanced frame
+// WebGPU port of shaders/compare.glsl
+
+// Magnifier panel size and margin as a fraction of the frame
+const PANEL_SIZE = vec2f(0.4, 0.25);
+const PANEL_MARGIN = 0.02;
+
+// Split screen: original left of the divider, enhanced right of it
+fn splitView(uv: vec2f) -> vec3f {
+  var color = sampleTexture(u_texture, uv).rgb;
+  if (uv.x < u.split) {
+    color = sampleTexture(u_original, uv).rgb;
+  }
+
+  // Divider line
+  if (abs(uv.x - u.split) * u.resolution.x < 1.0) {
+    color = vec3f(1.0);
+  }
+  return color;
+}
+
+// Magnifier: a panel in the top-right corner with the area around the focus
+// zoomed in, original on the left half and enhanced on the right half
+fn magnifierView(uv: vec2f) -> vec3f {
+  let color = sampleTexture(u_texture, uv).rgb;
+
+  let panelMin = vec2f(1.0) - PANEL_SIZE - PANEL_MARGIN;
+  let local = (uv - panelMin) / PANEL_SIZE;
+  if (any(local < vec2f(0.0)) || any(local > vec2f(1.0))) {
+    return color;
+  }
+
+  // Each half shows the same region around the focus point
+  let halfLocal = vec2f(fract(local.x * 2.0), local.y);
+  let region = vec2f(PANEL_SIZE.x * 0.5, PANEL_SIZE.y) / u.zoom;
+  let sampleUv = clamp(u.focus + (halfLocal - 0.5) * region, vec2f(0.0), vec2f(1.0));
+  var zoomed = sampleTexture(u_texture, sampleUv).rgb;
+  if (local.x < 0.5) {
+    zoomed = sampleTexture(u_original, sampleUv).rgb;
+  }
+
+  // Panel border and centre line, in output pixels
+  let edge = min(local, 1.0 - local) * PANEL_SIZE * u.resolution;
+  let centre = abs(local.x - 0.5) * PANEL_SIZE.x * u.resolution.x;
+  if (min(edge.x, edge.y) < 2.0 || centre < 1.0) {
+    zoomed = vec3f(1.0);
+  }
+  return zoomed;
+}
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  var color: vec3f;
+  if (u.compareMode < 1.5) {
+    color = splitView(in.texCoord);
+  } else {
+    color = magnifierView(in.texCoord);
+  }
+  return vec4f(color, 1.0);
+}
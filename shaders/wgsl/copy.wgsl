@@ -0,0 +1,7 @@
+// Copy WGSL - Pass-through used when no enhancement pass is active
+// WebGPU port of shaders/copy.glsl
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  return vec4f(sampleTexture(u_texture, in.texCoord).rgb, 1.0);
+}
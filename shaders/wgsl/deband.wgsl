@@ -0,0 +1,60 @@
+// Debanding WGSL - Gradient-aware debanding followed by blue-noise dithering
+// WebGPU port of shaders/deband.glsl
+
+// Must match BlueNoise.SIZE (content/blue-noise.js)
+const BLUE_NOISE_SIZE = 64;
+
+const MAX_ITERATIONS = 4;
+
+// Blue-noise tile value in [0, 1) at an offset
+fn tileNoise(position: vec2f, offset: vec2i) -> f32 {
+  let coord = (vec2i(position) + offset) % vec2i(BLUE_NOISE_SIZE);
+  return textureLoad(u_blueNoise, coord, 0).r;
+}
+
+// Blue-noise threshold in [-0.5, 0.5), read from the tile at an offset
+fn blueNoise(position: vec2f, offset: vec2i) -> f32 {
+  return fract(tileNoise(position, offset) + u.noiseOffset) - 0.5;
+}
+
+// Average of four samples a quarter turn apart, at a random distance up to range
+fn average(uv: vec2f, position: vec2f, range: f32, offset: vec2i) -> vec3f {
+  let dist = tileNoise(position, offset) * range;
+  let dir = tileNoise(position, offset + vec2i(31, 17)) * 6.2831853;
+  // Turn in pixels, then scale to texture coordinates
+  let o = dist * vec2f(cos(dir), sin(dir));
+  let a = o / u.resolution;
+  let b = vec2f(-o.y, o.x) / u.resolution;
+
+  return (sampleTexture(u_texture, uv + a).rgb +
+          sampleTexture(u_texture, uv - a).rgb +
+          sampleTexture(u_texture, uv + b).rgb +
+          sampleTexture(u_texture, uv - b).rgb) * 0.25;
+}
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  var color = sampleTexture(u_texture, in.texCoord).rgb;
+
+  if (u.debanding > 0.0) {
+    // Read the tile where shaders/deband.glsl does (gl_FragCoord counts from the bottom)
+    let position = fragCoord(in.position);
+    let threshold = u.debandThreshold * u.quantStep;
+    for (var i = 1; i <= MAX_ITERATIONS; i++) {
+      let n = f32(i);
+      if (n > u.debandIterations || (u.reducedTaps > 0.5 && i > 1)) { break; }
+
+      let avg = average(in.texCoord, position, u.debandRadius * n, vec2i(13, 29) * i);
+      color = mix(avg, color, step(vec3f(threshold / n), abs(color - avg)));
+    }
+
+    let noise = vec3f(
+      blueNoise(position, vec2i(0, 0)),
+      blueNoise(position, vec2i(23, 41)),
+      blueNoise(position, vec2i(47, 11))
+    );
+    color += noise * u.quantStep * u.debanding * 2.0;
+  }
+
+  return vec4f(clamp(color, vec3f(0.0), vec3f(1.0)), 1.0);
+}
@@ -0,0 +1,41 @@
+// Deblocking WGSL - Smooths block edges on the codec's coding grid
+// WebGPU port of shaders/deblock.glsl
+
+const BLOCK_SIZE = 8.0;
+
+// Filter a pixel across the nearest block edge along one axis
+fn filterAcross(uv: vec2f, color: vec3f, position: f32, axis: vec2f) -> vec3f {
+  let edge = floor(position / BLOCK_SIZE + 0.5) * BLOCK_SIZE;
+  let offset = position - edge;
+
+  if (abs(offset) >= 2.0) { return color; }
+
+  let edgeCoord = uv - axis * offset;
+  let p1 = sampleTexture(u_texture, edgeCoord - axis * 1.5).rgb;
+  let p0 = sampleTexture(u_texture, edgeCoord - axis * 0.5).rgb;
+  let q0 = sampleTexture(u_texture, edgeCoord + axis * 0.5).rgb;
+  let q1 = sampleTexture(u_texture, edgeCoord + axis * 1.5).rgb;
+
+  let alpha = (4.0 + 20.0 * u.deblocking) / 255.0;
+  let beta = (2.0 + 6.0 * u.deblocking) / 255.0;
+  if (abs(getLuma(p0) - getLuma(q0)) >= alpha ||
+      abs(getLuma(p1) - getLuma(p0)) >= beta ||
+      abs(getLuma(q1) - getLuma(q0)) >= beta) {
+    return color;
+  }
+
+  let ramp = mix(p1, q1, (offset + 1.5) / 3.0);
+  return mix(color, ramp, u.deblocking);
+}
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  let uv = in.texCoord;
+  let color = sampleTexture(u_texture, uv).rgb;
+
+  // Columns count from the left, rows from the top (texture coordinates point up)
+  let horizontal = filterAcross(uv, color, uv.x * u.videoSize.x, vec2f(1.0 / u.videoSize.x, 0.0));
+  let vertical = filterAcross(uv, color, (1.0 - uv.y) * u.videoSize.y, vec2f(0.0, -1.0 / u.videoSize.y));
+
+  return vec4f(clamp(horizontal + vertical - color, vec3f(0.0), vec3f(1.0)), 1.0);
+}
@@ -0,0 +1,46 @@
+// Temporal Denoise WGSL - Blends each pixel with the previous frame where nothing moves
+// WebGPU port of shaders/denoise.glsl
+
+const MAX_HISTORY = 0.8;
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  let uv = in.texCoord;
+  var color = sampleTexture(u_texture, uv).rgb;
+
+  if (u.hasHistory < 0.5) {
+    return vec4f(color, 1.0);
+  }
+
+  let texelSize = 1.0 / u.resolution;
+  var history = sampleTexture(u_history, uv).rgb;
+  var minColor = color;
+  var maxColor = color;
+  var sum = color;
+  var historySum = history;
+  var count = 1.0;
+
+  for (var x = -1; x <= 1; x++) {
+    for (var y = -1; y <= 1; y++) {
+      if (x == 0 && y == 0) { continue; }
+      if (u.reducedTaps > 0.5 && x != 0 && y != 0) { continue; }
+
+      let offset = uv + vec2f(f32(x), f32(y)) * texelSize;
+      let sampleColor = sampleTexture(u_texture, offset).rgb;
+      minColor = min(minColor, sampleColor);
+      maxColor = max(maxColor, sampleColor);
+      sum += sampleColor;
+      historySum += sampleTexture(u_history, offset).rgb;
+      count += 1.0;
+    }
+  }
+
+  let motion = abs(getLuma(sum - historySum)) / count;
+  let limit = (3.0 + 9.0 * u.denoising) / 255.0;
+  let weight = u.denoising * MAX_HISTORY * (1.0 - smoothstep(limit * 0.25, limit, motion));
+
+  history = clamp(history, minColor, maxColor);
+  color = mix(color, history, weight);
+
+  return vec4f(color, 1.0);
+}
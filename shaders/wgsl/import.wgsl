@@ -0,0 +1,26 @@
+// Import WGSL - Copies an imported video frame (texture_external) into the
+// pipeline's source texture so every pass can read it as a regular texture
+// Used by content/webgpu-pipeline.js; not a pipeline pass
+
+@group(0) @binding(0) var linearSampler: sampler;
+@group(0) @binding(1) var frame: texture_external;
+
+struct VertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) uv: vec2f,
+}
+
+@vertex
+fn vs_main(@builtin(vertex_index) index: u32) -> VertexOutput {
+  let pos = vec2f(f32((index << 1u) & 2u), f32(index & 2u)) * 2.0 - 1.0;
+
+  var out: VertexOutput;
+  out.position = vec4f(pos, 0.0, 1.0);
+  out.uv = vec2f(pos.x * 0.5 + 0.5, 0.5 - pos.y * 0.5);
+  return out;
+}
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  return vec4f(textureSampleBaseClampToEdge(frame, linearSampler, in.uv).rgb, 1.0);
+}
@@ -0,0 +1,11 @@
+// Range Expansion WGSL - Stretches limited-range video to full range
+// WebGPU port of shaders/range.glsl
+
+const BLACK = 16.0 / 255.0;
+const WHITE = 235.0 / 255.0;
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  let color = (sampleTexture(u_texture, in.texCoord).rgb - BLACK) / (WHITE - BLACK);
+  return vec4f(clamp(color, vec3f(0.0), vec3f(1.0)), 1.0);
+}
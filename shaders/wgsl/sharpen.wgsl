@@ -0,0 +1,29 @@
+// Sharpening WGSL - Contrast-adaptive sharpening (CAS)
+// WebGPU port of shaders/sharpen.glsl
+
+fn sharpen(uv: vec2f, color: vec3f) -> vec3f {
+  let texelSize = 1.0 / u.resolution;
+
+  let up = toLinear(sampleTexture(u_texture, uv + vec2f(0.0, -texelSize.y)).rgb);
+  let down = toLinear(sampleTexture(u_texture, uv + vec2f(0.0, texelSize.y)).rgb);
+  let left = toLinear(sampleTexture(u_texture, uv + vec2f(-texelSize.x, 0.0)).rgb);
+  let right = toLinear(sampleTexture(u_texture, uv + vec2f(texelSize.x, 0.0)).rgb);
+
+  // Unsharp mask, reduced on already-sharp edges
+  let neighbors = (up + down + left + right) * 0.25;
+  let sharpened = color + (color - neighbors) * u.sharpening;
+  let adaptive = 1.0 - min(length(color - neighbors) * 2.0, 0.5);
+
+  return mix(color, sharpened, adaptive);
+}
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  var color = sampleTexture(u_texture, in.texCoord).rgb;
+
+  if (u.sharpening > 0.0) {
+    color = fromLinear(clamp(sharpen(in.texCoord, toLinear(color)), vec3f(0.0), vec3f(1.0)));
+  }
+
+  return vec4f(clamp(color, vec3f(0.0), vec3f(1.0)), 1.0);
+}
@@ -0,0 +1,38 @@
+// Smoothing WGSL - Gentle edge-aware smoothing for block artifacts
+// WebGPU port of shaders/smooth.glsl
+
+fn smoothPixel(uv: vec2f, centerColor: vec3f) -> vec3f {
+  let texelSize = 1.0 / u.resolution;
+  let centerLuma = getLuma(centerColor);
+
+  var sum = centerColor;
+  var weightSum = 1.0;
+
+  // Sample 8 neighbors (4 with reduced taps)
+  for (var x = -1; x <= 1; x++) {
+    for (var y = -1; y <= 1; y++) {
+      if (x == 0 && y == 0) { continue; }
+      if (u.reducedTaps > 0.5 && x != 0 && y != 0) { continue; }
+
+      let sampleColor = toLinear(sampleTexture(u_texture, uv + vec2f(f32(x), f32(y)) * texelSize).rgb);
+      let weight = exp(-abs(centerLuma - getLuma(sampleColor)) * 10.0) * 0.5;
+
+      sum += sampleColor * weight;
+      weightSum += weight;
+    }
+  }
+
+  return sum / weightSum;
+}
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4f {
+  var color = sampleTexture(u_texture, in.texCoord).rgb;
+
+  if (u.smoothing > 0.0) {
+    color = toLinear(color);
+    color = fromLinear(mix(color, smoothPixel(in.texCoord, color), u.smoothing * 0.5));
+  }
+
+  return vec4f(color, 1.0);
+}
@@ -0,0 +1,89 @@
+// Site Rules - Host pattern matching shared by background, content scripts and popup
+// A rule can force enhancement on/off and pick a preset for matching hosts,
+// and name the site's player controls (CSS selectors) that must stay above the overlay.
+// Precedence, highest first: the tab's own setting (state.tab), the site rule,
+// the global toggle/preset. Fields a level leaves unset fall through to the next.
+
+const SiteRules = {
+    /**
+     * Normalize user input into a host pattern
+     * Accepts bare hosts, "*.host" wildcards or full URLs
+     * @param {string} input - Pattern or URL typed by the user
+     * @returns {string} Normalized pattern, or '' if invalid
+     */
+    normalizePattern(input) {
+        let pattern = String(input || '').trim().toLowerCase();
+
+        // Strip scheme, path and port from pasted URLs
+        pattern = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+        pattern = pattern.split(/[/?#]/)[0].replace(/:\d+$/, '');
+
+        const wildcard = pattern.startsWith('*.');
+        const host = (wildcard ? pattern.slice(2) : pattern).replace(/^www\./, '');
+
+        if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)) return '';
+        return wildcard ? `*.${host}` : host;
+    },
+
+    /**
+     * Check whether a pattern matches a hostname
+     * "example.com" matches the host and its subdomains;
+     * "*.example.com" matches subdomains only
+     */
+    matches(pattern, hostname) {
+        const host = String(hostname || '').toLowerCase();
+
+        if (pattern.startsWith('*.')) {
+            return host.endsWith(pattern.slice(1));
+        }
+        return host === pattern || host.endsWith(`.${pattern}`);
+    },
+
+    /**
+     * Find the most specific rule matching a hostname
+     * @param {Object} rules - Map of pattern -> rule
+     * @param {string} hostname - Host to match
+     * @returns {Object|null} { pattern, rule } or null
+     */
+    find(rules, hostname) {
+        let best = null;
+
+        for (const [pattern, rule] of Object.entries(rules || {})) {
+            if (!this.matches(pattern, hostname)) continue;
+
+            // Exact hosts beat wildcards of the same length
+            const specificity = pattern.replace(/^\*\./, '').length * 2 + (pattern.startsWith('*.') ? 0 : 1);
+            if (!best || specificity > best.specificity) {
+                best = { pattern, rule, specificity };
+            }
+        }
+
+        return best ? { pattern: best.pattern, rule: best.rule } : null;
+    },
+
+    /**
+     * Apply the tab override and matching site rule on top of the global state
+     * @param {Object} state - Global extension state, optionally with `tab` overrides
+     * @param {string} hostname - Host of the page
+     * @returns {Object} Effective state with `siteRule` set to the matched rule (or null)
+     *                   and `controlSelectors` taken from it
+     */
+    resolve(state, hostname) {
+        if (!state) return { siteRule: null };
+
+        const match = this.find(state.siteRules, hostname);
+        let { enabled, preset } = state;
+
+        for (const layer of [match?.rule, state.tab]) {
+            if (!layer) continue;
+            if (typeof layer.enabled === 'boolean') enabled = layer.enabled;
+            if (layer.preset && state.presets?.[layer.preset]) preset = layer.preset;
+        }
+
+        const controlSelectors = match?.rule.controlSelectors || null;
+        return { ...state, enabled, preset, controlSelectors, siteRule: match };
+    }
+};
+
+// Make available globally (window in pages, self in the service worker)
+globalThis.SiteRules = SiteRules;
@@ -0,0 +1,174 @@
+// Capture Readbacks - Renders the fixture cases through the WebGPU shader passes
+// and stores the results in test/gpu-readbacks.json for test/cpu-reference.test.js.
+// Runs headless in Node on Dawn (the `webgpu` dev dependency). DAWN_BACKEND picks
+// Dawn's backend; without a GPU, its OpenGL ES backend runs on Mesa's software
+// renderer:
+//
+//   DAWN_BACKEND=opengles EGL_PLATFORM=surfaceless npm run capture-readbacks
+//
+// The content scripts are loaded as they are in the page (classic scripts sharing
+// one global scope); the canvas is replaced by an RGBA8 texture that is read back.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const Fixtures = require('./fixtures.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Scripts the WebGPU pipeline needs, in manifest order
+const SCRIPTS = ['content/blue-noise.js', 'content/shader-pipeline.js', 'content/webgpu-pipeline.js'];
+
+// Dawn's OpenGL backends only offer WebGPU compatibility mode
+const COMPATIBILITY_BACKENDS = ['opengl', 'opengles'];
+
+// Dawn tears everything down once its GPU object is collected, so it is kept here
+let gpu = null;
+
+// Defaults VideoProcessor uses when a preset leaves them out
+const DEFAULTS = {
+    quantStep: 1 / 255,
+    debandRadius: 16,
+    debandThreshold: 0.75,
+    debandIterations: 1,
+    lumaWeights: [0.299, 0.587, 0.114]
+};
+
+/**
+ * Load the content scripts into this realm and read shader sources from disk
+ */
+function loadPipeline() {
+    globalThis.window = globalThis;
+    for (const script of SCRIPTS) {
+        const file = path.join(ROOT, script);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    }
+    window.ShaderPipeline.loadSource = (source) => fs.promises.readFile(path.join(ROOT, source), 'utf8');
+}
+
+/**
+ * The preset and uniforms VideoProcessor would render a case's params with
+ */
+function toRenderSettings(params) {
+    const settings = { ...DEFAULTS, ...params };
+    const preset = {
+        passes: settings.passes,
+        expandRange: Boolean(settings.expandRange),
+        denoising: settings.denoising || 0,
+        deblocking: settings.deblocking || 0,
+        debanding: settings.debanding || 0,
+        smoothing: settings.smoothing || 0,
+        sharpening: settings.sharpening || 0
+    };
+    const uniforms = {
+        u_denoising: preset.denoising,
+        u_deblocking: preset.deblocking,
+        u_videoSize: settings.videoSize || [Fixtures.WIDTH, Fixtures.HEIGHT],
+        u_debanding: preset.debanding,
+        u_smoothing: preset.smoothing,
+        u_reducedTaps: settings.reducedTaps ? 1 : 0,
+        u_sharpening: preset.sharpening,
+        u_quantStep: settings.quantStep,
+        u_debandRadius: settings.debandRadius,
+        u_debandThreshold: settings.debandThreshold,
+        u_debandIterations: settings.debandIterations,
+        u_noiseOffset: settings.noiseOffset || 0,
+        u_lumaWeights: settings.lumaWeights,
+        u_linearLight: settings.linearLight ? 1 : 0,
+        u_compareMode: 0
+    };
+    return { preset, uniforms };
+}
+
+/**
+ * Render one case and read back the last frame
+ * @returns {Promise<Uint8Array>} RGB bytes, top row first
+ */
+async function renderCase(device, testCase) {
+    const { WIDTH: width, HEIGHT: height } = Fixtures;
+    const usage = GPUTextureUsage;
+
+    const output = device.createTexture({
+        size: [width, height],
+        format: 'rgba8unorm',
+        usage: usage.RENDER_ATTACHMENT | usage.COPY_SRC
+    });
+    const source = device.createTexture({
+        size: [width, height],
+        format: 'rgba8unorm',
+        usage: usage.TEXTURE_BINDING | usage.COPY_DST
+    });
+
+    const pipeline = new window.WebGPUPipeline(device, { getCurrentTexture: () => output }, 'rgba8unorm');
+    const { preset, uniforms } = toRenderSettings(testCase.params);
+    await pipeline.load(preset);
+    pipeline.resize(width, height);
+
+    testCase.frames.forEach((name, index) => {
+        const image = Fixtures.createImage(name);
+        device.queue.writeTexture({ texture: source }, image.data, { bytesPerRow: width * 4 }, [width, height]);
+        pipeline.setFrameTime(index / 30);
+        pipeline.render(source.createView(), preset, uniforms);
+    });
+
+    // Rows of a texture copy are padded to 256 bytes
+    const bytesPerRow = Math.ceil(width * 4 / 256) * 256;
+    const buffer = device.createBuffer({ size: bytesPerRow * height, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+    const encoder = device.createCommandEncoder();
+    encoder.copyTextureToBuffer({ texture: output }, { buffer, bytesPerRow }, [width, height]);
+    device.queue.submit([encoder.finish()]);
+    await buffer.mapAsync(GPUMapMode.READ);
+
+    const padded = new Uint8Array(buffer.getMappedRange());
+    const rgb = new Uint8Array(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * bytesPerRow + x * 4;
+            rgb.set(padded.subarray(i, i + 3), (y * width + x) * 3);
+        }
+    }
+
+    buffer.unmap();
+    buffer.destroy();
+    pipeline.destroy();
+    output.destroy();
+    source.destroy();
+    return rgb;
+}
+
+async function main() {
+    const { create, globals } = await import('webgpu');
+    Object.assign(globalThis, globals);
+    loadPipeline();
+
+    const backend = process.env.DAWN_BACKEND;
+    gpu = create(backend ? [`backend=${backend}`] : []);
+    const adapter = await gpu.requestAdapter({
+        featureLevel: COMPATIBILITY_BACKENDS.includes(backend) ? 'compatibility' : 'core'
+    });
+    if (!adapter) {
+        throw new Error('No WebGPU adapter; try DAWN_BACKEND=opengles (see the top of this file)');
+    }
+    const device = await adapter.requestDevice();
+
+    const cases = {};
+    for (const testCase of Fixtures.CASES) {
+        cases[testCase.name] = Buffer.from(await renderCase(device, testCase)).toString('base64');
+    }
+    device.destroy();
+
+    const readbacks = {
+        sources: Fixtures.hashReadbackSources(),
+        width: Fixtures.WIDTH,
+        height: Fixtures.HEIGHT,
+        cases
+    };
+    fs.writeFileSync(Fixtures.READBACKS, `${JSON.stringify(readbacks, null, 2)}\n`);
+    console.log(`Captured ${Object.keys(cases).length} cases to ${path.relative(ROOT, Fixtures.READBACKS)}`);
+}
+
+main().then(() => process.exit(0), (e) => {
+    console.error(e);
+    process.exit(1);
+});
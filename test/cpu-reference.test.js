@@ -0,0 +1,72 @@
+// CPU Reference Test - Checks content/cpu-reference.js against the WebGPU shader
+// passes on the still images in test/fixtures.js. The GPU side is the readbacks
+// stored by test/capture-readbacks.js, so this runs without a GPU:
+//
+//   npm test
+//
+// Filtering precision moves a channel by a level at most; the deband threshold
+// can flip where a pixel sits right on it, so a few channels may differ by up to
+// the dither and a quantization step.
+
+const assert = require('assert');
+const fs = require('fs');
+const { test } = require('node:test');
+
+const CpuReference = require('../content/cpu-reference.js');
+const Fixtures = require('./fixtures.js');
+
+// Levels (0-255) any channel may differ by
+const MAX_DIFFERENCE = 1;
+
+// Share of channels that may differ by more, up to MAX_OUTLIER_DIFFERENCE
+const OUTLIER_SHARE = 0.03;
+const MAX_OUTLIER_DIFFERENCE = 8;
+
+const readbacks = JSON.parse(fs.readFileSync(Fixtures.READBACKS, 'utf8'));
+
+/**
+ * Run a case's frames through the CPU chain, carrying history between them
+ * @returns {Uint8ClampedArray} RGBA of the last frame
+ */
+function renderCase(testCase) {
+    let history = null;
+    let result = null;
+    for (const name of testCase.frames) {
+        result = CpuReference.runChain(Fixtures.createImage(name), { ...testCase.params, history });
+        history = result.history;
+    }
+    return result.data;
+}
+
+test('readbacks were captured from the current shaders', () => {
+    assert.strictEqual(readbacks.sources, Fixtures.hashReadbackSources(),
+        'test/gpu-readbacks.json is out of date; run `npm run capture-readbacks` (see test/capture-readbacks.js)');
+    assert.deepStrictEqual([readbacks.width, readbacks.height], [Fixtures.WIDTH, Fixtures.HEIGHT]);
+});
+
+for (const testCase of Fixtures.CASES) {
+    test(`${testCase.name} matches the GPU readback`, () => {
+        assert.ok(readbacks.cases[testCase.name], `No readback for ${testCase.name}; run \`npm run capture-readbacks\``);
+
+        const cpu = renderCase(testCase);
+        const gpu = Buffer.from(readbacks.cases[testCase.name], 'base64');
+        let outliers = 0;
+        let worst = null;
+
+        for (let p = 0; p < Fixtures.WIDTH * Fixtures.HEIGHT; p++) {
+            for (let c = 0; c < 3; c++) {
+                const difference = Math.abs(cpu[p * 4 + c] - gpu[p * 3 + c]);
+                if (difference <= MAX_DIFFERENCE) continue;
+
+                outliers++;
+                if (!worst || difference > worst.difference) {
+                    worst = { difference, x: p % Fixtures.WIDTH, y: Math.floor(p / Fixtures.WIDTH), c };
+                }
+            }
+        }
+
+        const where = worst && `worst ${worst.difference} at (${worst.x}, ${worst.y}) channel ${worst.c}`;
+        assert.ok(outliers <= OUTLIER_SHARE * gpu.length, `${outliers} channels differ by more than ${MAX_DIFFERENCE}; ${where}`);
+        assert.ok(!worst || worst.difference <= MAX_OUTLIER_DIFFERENCE, where);
+    });
+}
@@ -0,0 +1,169 @@
+// Test Fixtures - Still images and pass settings for comparing the GPU shaders with
+// content/cpu-reference.js. The images are generated from fixed seeds, so the
+// readback capture (test/capture-readbacks.js) and the reference test
+// (test/cpu-reference.test.js) see the same pixels without binary files.
+//
+// Images are { data: Uint8ClampedArray RGBA, width, height }, top row first.
+// Case params use the CpuReference.runChain names; test/capture-readbacks.js
+// turns them into the preset and uniforms VideoProcessor would pass.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const Fixtures = {
+    // Multiples of the 8-pixel coding block, so the deblock grid lines up
+    WIDTH: 48,
+    HEIGHT: 32,
+
+    // Stored GPU output, written by test/capture-readbacks.js
+    READBACKS: path.join(__dirname, 'gpu-readbacks.json'),
+
+    // Files whose changes make the stored readbacks out of date
+    READBACK_SOURCES: [
+        'content/blue-noise.js',
+        'content/shader-pipeline.js',
+        'content/webgpu-pipeline.js',
+        'shaders/wgsl',
+        'test/capture-readbacks.js',
+        'test/fixtures.js'
+    ],
+
+    /**
+     * Still images by name; each returns [r, g, b] 0-255 for a pixel
+     * `random` is seeded per image, so the same image comes out every time
+     */
+    IMAGES: {
+        // Diagonal gradient quantized to 4-level steps: visible bands
+        gradient: (x, y) => {
+            const level = Math.floor((40 + x * 2.2 + y * 0.8) / 4) * 4;
+            return [level, level + 6, level + 14];
+        },
+
+        // Flat 8x8 blocks with small steps between them, plus a faint texture
+        blocks: (x, y, random) => {
+            const block = Math.floor(x / 8) * 3 + Math.floor(y / 8) * 5;
+            const base = 90 + (block % 7) * 3;
+            const grain = Math.round(random() * 2);
+            return [base + grain, base + 10 + grain, base - 12 + grain];
+        },
+
+        // Mid-grey with sensor-like noise and a vertical edge
+        noise: (x, y, random) => {
+            const base = x < 24 ? 70 : 160;
+            return [0, 1, 2].map(() => base + Math.round((random() - 0.5) * 24));
+        },
+
+        // The next frame of `noise`: same scene, fresh noise (another seed)
+        noiseNext: (x, y, random) => Fixtures.IMAGES.noise(x, y, random),
+
+        // Hard edges, thin lines and a soft disc
+        detail: (x, y) => {
+            const disc = Math.max(0, 1 - Math.hypot(x - 32, y - 16) / 12);
+            const line = x % 6 === 0 || y === 10 ? 80 : 0;
+            const edge = x > 12 ? 60 : 0;
+            const value = 50 + edge + line + disc * 90;
+            return [value, value * 0.8 + 20, 255 - value];
+        },
+
+        // Limited-range (16-235) levels, as decoded video often is
+        limited: (x, y) => [16 + x * 4.5, 16 + y * 6.8, 235 - x * 2]
+    },
+
+    /**
+     * Cases to compare: `frames` are image names rendered in order (temporal
+     * passes blend each with the one before); the last frame is compared
+     */
+    CASES: [
+        { name: 'range', frames: ['limited'], params: { passes: ['range'], expandRange: true } },
+        { name: 'denoise', frames: ['noise', 'noiseNext'], params: { passes: ['denoise'], denoising: 0.8 } },
+        { name: 'deblock', frames: ['blocks'], params: { passes: ['deblock'], deblocking: 0.8 } },
+        {
+            name: 'deband',
+            frames: ['gradient'],
+            params: { passes: ['deband'], debanding: 0.8, quantStep: 4 / 255, debandIterations: 2, noiseOffset: 0.25 }
+        },
+        { name: 'smooth', frames: ['detail'], params: { passes: ['smooth'], smoothing: 0.7 } },
+        { name: 'sharpen', frames: ['detail'], params: { passes: ['sharpen'], sharpening: 0.6 } },
+        {
+            name: 'linear-light',
+            frames: ['detail'],
+            // BT.709 luma
+            params: { passes: ['smooth', 'sharpen'], smoothing: 0.7, sharpening: 0.6, linearLight: true, lumaWeights: [0.2126, 0.7152, 0.0722] }
+        },
+        {
+            name: 'chain',
+            frames: ['blocks', 'blocks'],
+            params: { denoising: 0.5, deblocking: 0.5, debanding: 0.5, smoothing: 0.3, sharpening: 0.4, quantStep: 2 / 255 }
+        },
+        {
+            name: 'reduced-taps',
+            frames: ['noise', 'noiseNext'],
+            params: { denoising: 0.5, debanding: 0.5, smoothing: 0.5, sharpening: 0.3, debandIterations: 3, reducedTaps: true }
+        }
+    ],
+
+    /**
+     * Render a named image
+     * @returns {Object} { data, width, height }
+     */
+    createImage(name) {
+        const { WIDTH: width, HEIGHT: height } = this;
+        const pixel = this.IMAGES[name];
+        const random = this.createRandom(name);
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const [r, g, b] = pixel(x, y, random);
+                data[i] = Math.round(r);
+                data[i + 1] = Math.round(g);
+                data[i + 2] = Math.round(b);
+                data[i + 3] = 255;
+            }
+        }
+        return { data, width, height };
+    },
+
+    /**
+     * Hash of READBACK_SOURCES (directories by their files), to tell whether
+     * the stored readbacks were captured from the current shaders
+     */
+    hashReadbackSources() {
+        const hash = crypto.createHash('sha256');
+
+        for (const source of this.READBACK_SOURCES) {
+            const file = path.join(ROOT, source);
+            const files = fs.statSync(file).isDirectory()
+                ? fs.readdirSync(file).sort().map(name => path.join(file, name))
+                : [file];
+            for (const name of files) {
+                hash.update(path.relative(ROOT, name).split(path.sep).join('/'));
+                hash.update(fs.readFileSync(name));
+            }
+        }
+        return hash.digest('hex');
+    },
+
+    /**
+     * Seeded PRNG (mulberry32), seeded from the image name
+     */
+    createRandom(name) {
+        let state = 0;
+        for (const char of name) {
+            state = (Math.imul(state, 31) + char.charCodeAt(0)) >>> 0;
+        }
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+};
+
+module.exports = Fixtures;
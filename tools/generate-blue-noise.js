@@ -0,0 +1,155 @@
+// Blue Noise Generator - Builds the tile stored in content/blue-noise.js
+// Uses the void-and-cluster method (Ulichney 1993) from a fixed seed. Every
+// value occurs equally often and neighbouring pixels get values far apart,
+// which keeps the noise out of the low frequencies that read as grain.
+// Generating takes long enough to stall a page, so the tile ships precomputed.
+//
+// Usage: node tools/generate-blue-noise.js
+// Rewrites the DATA lines of content/blue-noise.js in place.
+
+const fs = require('fs');
+const path = require('path');
+
+const BlueNoise = require('../content/blue-noise.js');
+
+const Generator = {
+    // Width of the Gaussian that measures how clustered the points are
+    SIGMA: 1.5,
+
+    // Share of pixels set in the initial random pattern
+    INITIAL_DENSITY: 0.1,
+
+    SEED: 0x2545f491,
+
+    // Base64 characters per line in content/blue-noise.js
+    LINE_LENGTH: 128,
+
+    /**
+     * Build a tile with the void-and-cluster method
+     * @param {number} size - Width and height in pixels
+     * @returns {Uint8Array} Ranks scaled to 0-255
+     */
+    generate(size) {
+        const count = size * size;
+        const kernel = this.createKernel(size);
+        const random = this.createRandom(this.SEED);
+        const pattern = new Uint8Array(count);
+        const energy = new Float64Array(count);
+        const ranks = new Uint32Array(count);
+
+        // Set or clear a point, updating every pixel's energy (the tile wraps)
+        const toggle = (index, value) => {
+            const x = index % size;
+            const y = (index - x) / size;
+            const sign = value ? 1 : -1;
+            pattern[index] = value;
+
+            for (let qy = 0; qy < size; qy++) {
+                const kernelRow = ((qy - y + size) % size) * size;
+                const row = qy * size;
+                for (let qx = 0; qx < size; qx++) {
+                    energy[row + qx] += sign * kernel[kernelRow + (qx - x + size) % size];
+                }
+            }
+        };
+
+        // Tightest cluster: the set pixel with the most energy
+        // Largest void: the empty pixel with the least
+        const find = (value, tightest) => {
+            let best = -1;
+            for (let i = 0; i < count; i++) {
+                if (pattern[i] !== value) continue;
+                if (best < 0 || (tightest ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+            }
+            return best;
+        };
+
+        // Random initial pattern
+        const initial = Math.round(count * this.INITIAL_DENSITY);
+        for (let placed = 0; placed < initial;) {
+            const index = Math.floor(random() * count);
+            if (pattern[index]) continue;
+            toggle(index, 1);
+            placed++;
+        }
+
+        // Move points from clusters into voids until the pattern is even
+        for (let i = 0; i < count; i++) {
+            const cluster = find(1, true);
+            toggle(cluster, 0);
+            const largestVoid = find(0, false);
+            toggle(largestVoid, 1);
+            if (largestVoid === cluster) break;
+        }
+
+        const prototype = pattern.slice();
+        const prototypeEnergy = energy.slice();
+
+        // Ranks below the initial points: remove tightest clusters first
+        for (let rank = initial - 1; rank >= 0; rank--) {
+            const cluster = find(1, true);
+            toggle(cluster, 0);
+            ranks[cluster] = rank;
+        }
+
+        // Ranks above: fill largest voids, from the initial pattern up to full
+        pattern.set(prototype);
+        energy.set(prototypeEnergy);
+        for (let rank = initial; rank < count; rank++) {
+            const largestVoid = find(0, false);
+            toggle(largestVoid, 1);
+            ranks[largestVoid] = rank;
+        }
+
+        const tile = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            tile[i] = Math.floor(ranks[i] * 256 / count);
+        }
+        return tile;
+    },
+
+    /**
+     * Gaussian weight for every offset, measured the short way round the tile
+     */
+    createKernel(size) {
+        const kernel = new Float64Array(size * size);
+        const scale = 1 / (2 * this.SIGMA * this.SIGMA);
+
+        for (let dy = 0; dy < size; dy++) {
+            const y = Math.min(dy, size - dy);
+            for (let dx = 0; dx < size; dx++) {
+                const x = Math.min(dx, size - dx);
+                kernel[dy * size + dx] = Math.exp(-(x * x + y * y) * scale);
+            }
+        }
+        return kernel;
+    },
+
+    /**
+     * Seeded PRNG (mulberry32), so the tile is the same everywhere
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+};
+
+const target = path.join(__dirname, '..', 'content', 'blue-noise.js');
+const encoded = Buffer.from(Generator.generate(BlueNoise.SIZE)).toString('base64');
+const lines = encoded.match(new RegExp(`.{1,${Generator.LINE_LENGTH}}`, 'g'))
+    .map(line => `        '${line}'`)
+    .join(',\n');
+
+const source = fs.readFileSync(target, 'utf8');
+const updated = source.replace(/( {4}DATA: \[\n)[\s\S]*?(\n {4}\]\.join\(''\))/, `$1${lines}$2`);
+if (updated === source && !source.includes(lines)) {
+    throw new Error('DATA lines not found in content/blue-noise.js');
+}
+fs.writeFileSync(target, updated);
+console.log(`Wrote a ${BlueNoise.SIZE}x${BlueNoise.SIZE} tile to content/blue-noise.js`);